@@ -0,0 +1,263 @@
+/*
+ * Spotify Controls Extension
+ * Copyright (C) 2024 Athanasios Raptis
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+import Soup from 'gi://Soup?version=3.0';
+
+import { logDebug, logError, makeDirectory } from './utils.js';
+
+// Directory name under the user's cache directory (~/.cache)
+const CACHE_DIR_NAME = 'spotify-controls/covers';
+
+/**
+ * ArtCache Class
+ * Downloads album art from http(s):// URLs into the user's cache directory and
+ * hands out Gio.Icons for it. file:// URLs are used in place. Cached covers are
+ * expired by age ('art-cache-max-age', days) and total size ('art-cache-max-size', MiB).
+ */
+export class ArtCache {
+    /**
+     * Constructor for ArtCache.
+     * @param {Gio.Settings} settings - The settings object for the extension.
+     */
+    constructor(settings) {
+        this._settings = settings;
+        this._cacheDir = Gio.File.new_for_path(GLib.build_filenamev([GLib.get_user_cache_dir(), CACHE_DIR_NAME]));
+        this._session = new Soup.Session({ timeout: 15 });
+        this._cancellable = new Gio.Cancellable();
+
+        // Downloads in progress, keyed by URL, so each cover is only fetched once
+        this._pending = new Map();
+
+        // The cache directory is created once; covers that are only ever read still expire
+        this._cacheDirReady = makeDirectory(this._cacheDir, this._cancellable);
+        this._cacheDirReady
+            .then(() => this._expire())
+            .catch(e => {
+                if (!e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) {
+                    logError(e, 'Failed to prepare album art cache');
+                }
+            });
+    }
+
+    /**
+     * Returns an icon for the given art URL, downloading and caching it if needed.
+     * @param {string} url - The mpris:artUrl value.
+     * @returns {Promise<Gio.Icon|null>} - The icon, or null if the URL is unsupported or the download failed.
+     */
+    async getIcon(url) {
+        if (!url) {
+            return null;
+        }
+
+        if (url.startsWith('file://')) {
+            return new Gio.FileIcon({ file: Gio.File.new_for_uri(url) });
+        }
+
+        if (!url.startsWith('http://') && !url.startsWith('https://')) {
+            logDebug(`Unsupported art URL: ${url}`);
+            return null;
+        }
+
+        let file = this._cacheDir.get_child(GLib.compute_checksum_for_string(GLib.ChecksumType.SHA256, url, -1));
+        if (await this._exists(file)) {
+            return new Gio.FileIcon({ file });
+        }
+
+        if (!this._pending.has(url)) {
+            let download = this._download(url, file)
+                .finally(() => this._pending.delete(url));
+            this._pending.set(url, download);
+        }
+
+        try {
+            await this._pending.get(url);
+            return new Gio.FileIcon({ file });
+        } catch (e) {
+            if (!e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) {
+                logError(e, `Failed to download album art from ${url}`);
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Downloads a URL into a cache file, then expires old entries.
+     * @param {string} url - The http(s) URL to fetch.
+     * @param {Gio.File} file - The cache file to write.
+     * @returns {Promise<void>} - A promise that resolves once the file is written.
+     */
+    async _download(url, file) {
+        logDebug(`Downloading album art from ${url}`);
+
+        let message = Soup.Message.new('GET', url);
+        if (!message) {
+            throw new Error(`Invalid art URL: ${url}`);
+        }
+
+        let bytes = await new Promise((resolve, reject) => {
+            this._session.send_and_read_async(message, GLib.PRIORITY_DEFAULT, this._cancellable, (session, result) => {
+                try {
+                    resolve(session.send_and_read_finish(result));
+                } catch (e) {
+                    reject(e);
+                }
+            });
+        });
+
+        if (message.get_status() !== Soup.Status.OK) {
+            throw new Error(`Unexpected HTTP status ${message.get_status()}`);
+        }
+
+        await this._cacheDirReady;
+
+        await new Promise((resolve, reject) => {
+            file.replace_contents_bytes_async(bytes, null, false, Gio.FileCreateFlags.REPLACE_DESTINATION, this._cancellable, (f, result) => {
+                try {
+                    f.replace_contents_finish(result);
+                    resolve();
+                } catch (e) {
+                    reject(e);
+                }
+            });
+        });
+
+        this._expire().catch(e => logError(e, 'Failed to expire album art cache'));
+    }
+
+    /**
+     * Deletes cached covers older than the maximum age, then the oldest
+     * remaining ones until the cache fits in the maximum size.
+     */
+    async _expire() {
+        let maxAge = this._settings.get_int('art-cache-max-age') * 24 * 60 * 60;
+        let maxSize = this._settings.get_int('art-cache-max-size') * 1024 * 1024;
+        let now = GLib.get_real_time() / 1000000;
+
+        let infos = await this._listCacheFiles();
+
+        // Oldest first, so the size pass below removes the oldest covers
+        infos.sort((a, b) => a.get_modification_date_time().to_unix() - b.get_modification_date_time().to_unix());
+
+        let totalSize = infos.reduce((sum, info) => sum + info.get_size(), 0);
+        for (let info of infos) {
+            let age = now - info.get_modification_date_time().to_unix();
+            if (age <= maxAge && totalSize <= maxSize) {
+                continue;
+            }
+
+            try {
+                await this._delete(this._cacheDir.get_child(info.get_name()));
+                totalSize -= info.get_size();
+                logDebug(`Expired cached cover ${info.get_name()}`);
+            } catch (e) {
+                logError(e, `Failed to delete cached cover ${info.get_name()}`);
+            }
+        }
+    }
+
+    /**
+     * Lists the files in the cache directory.
+     * @returns {Promise<Gio.FileInfo[]>} - The name, size and modification time of every cached cover.
+     */
+    _listCacheFiles() {
+        return new Promise((resolve, reject) => {
+            this._cacheDir.enumerate_children_async(
+                'standard::name,standard::size,time::modified',
+                Gio.FileQueryInfoFlags.NONE,
+                GLib.PRIORITY_LOW,
+                this._cancellable,
+                (dir, result) => {
+                    let enumerator;
+                    try {
+                        enumerator = dir.enumerate_children_finish(result);
+                    } catch (e) {
+                        reject(e);
+                        return;
+                    }
+
+                    let infos = [];
+                    let nextBatch = () => {
+                        enumerator.next_files_async(100, GLib.PRIORITY_LOW, this._cancellable, (en, res) => {
+                            try {
+                                let batch = en.next_files_finish(res);
+                                if (batch.length === 0) {
+                                    en.close(null);
+                                    resolve(infos);
+                                    return;
+                                }
+                                infos.push(...batch);
+                                nextBatch();
+                            } catch (e) {
+                                reject(e);
+                            }
+                        });
+                    };
+                    nextBatch();
+                }
+            );
+        });
+    }
+
+    /**
+     * Checks asynchronously whether a file exists.
+     * @param {Gio.File} file - The file to check.
+     * @returns {Promise<boolean>} - True if the file exists.
+     */
+    _exists(file) {
+        return new Promise(resolve => {
+            file.query_info_async('standard::type', Gio.FileQueryInfoFlags.NONE, GLib.PRIORITY_DEFAULT, this._cancellable, (f, result) => {
+                try {
+                    f.query_info_finish(result);
+                    resolve(true);
+                } catch (e) {
+                    resolve(false);
+                }
+            });
+        });
+    }
+
+    /**
+     * Deletes a file asynchronously.
+     * @param {Gio.File} file - The file to delete.
+     * @returns {Promise<void>} - A promise that resolves once the file is deleted.
+     */
+    _delete(file) {
+        return new Promise((resolve, reject) => {
+            file.delete_async(GLib.PRIORITY_LOW, this._cancellable, (f, result) => {
+                try {
+                    f.delete_finish(result);
+                    resolve();
+                } catch (e) {
+                    reject(e);
+                }
+            });
+        });
+    }
+
+    /**
+     * Cancels pending downloads and releases the HTTP session.
+     */
+    destroy() {
+        this._cancellable.cancel();
+        this._session.abort();
+        this._session = null;
+        this._pending.clear();
+    }
+}
@@ -0,0 +1,80 @@
+/*
+ * Spotify Controls Extension
+ * Copyright (C) 2024 Athanasios Raptis
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import GLib from 'gi://GLib';
+
+import { isSpotifyUri } from './spotifyUri.js';
+
+/**
+ * Reads the bookmarks from the 'bookmarks' setting.
+ * @param {Gio.Settings} settings - The settings object for the extension.
+ * @returns {{name: string, uri: string}[]} - The bookmarks, in menu order.
+ */
+export function getBookmarks(settings) {
+    return settings.get_value('bookmarks').deepUnpack().map(([name, uri]) => ({ name, uri }));
+}
+
+/**
+ * Saves the bookmarks to the 'bookmarks' setting.
+ * @param {Gio.Settings} settings - The settings object for the extension.
+ * @param {{name: string, uri: string}[]} bookmarks - The bookmarks, in menu order.
+ */
+export function setBookmarks(settings, bookmarks) {
+    settings.set_value('bookmarks', new GLib.Variant('a(ss)', bookmarks.map(({ name, uri }) => [name, uri])));
+}
+
+/**
+ * Appends bookmarks whose URI isn't bookmarked yet.
+ * @param {Gio.Settings} settings - The settings object for the extension.
+ * @param {{name: string, uri: string}[]} bookmarks - The new bookmarks.
+ * @returns {number} - How many were added.
+ */
+export function addBookmarks(settings, bookmarks) {
+    const existing = getBookmarks(settings);
+    const added = bookmarks.filter(bookmark => !existing.some(({ uri }) => uri === bookmark.uri));
+    if (added.length > 0) {
+        setBookmarks(settings, [...existing, ...added]);
+    }
+    return added.length;
+}
+
+/**
+ * Parses exported bookmarks, a JSON array of {name, uri} objects.
+ * Entries without a name or a valid spotify: URI are skipped.
+ * @param {string} contents - The JSON text.
+ * @returns {{name: string, uri: string}[]} - The bookmarks.
+ * @throws {Error} - If the text isn't a JSON array.
+ */
+export function parseBookmarks(contents) {
+    const data = JSON.parse(contents);
+    if (!Array.isArray(data)) {
+        throw new Error('Bookmarks must be a JSON array');
+    }
+    return data
+        .filter(entry => typeof entry?.name === 'string' && entry.name.trim() !== '' && isSpotifyUri(entry.uri))
+        .map(entry => ({ name: entry.name.trim(), uri: entry.uri }));
+}
+
+/**
+ * Serializes bookmarks as a JSON array, the format read by parseBookmarks.
+ * @param {{name: string, uri: string}[]} bookmarks - The bookmarks.
+ * @returns {string} - The JSON text.
+ */
+export function bookmarksToJson(bookmarks) {
+    return JSON.stringify(bookmarks, null, 2) + '\n';
+}
@@ -21,40 +21,116 @@ import Gio from 'gi://Gio';
 import GLib from 'gi://GLib';
 import GObject from 'gi://GObject';
 import Clutter from 'gi://Clutter';
+import Pango from 'gi://Pango';
+import Meta from 'gi://Meta';
+import Shell from 'gi://Shell';
 
+import * as LoginManager from 'resource:///org/gnome/shell/misc/loginManager.js';
+import * as DND from 'resource:///org/gnome/shell/ui/dnd.js';
 import * as Main from 'resource:///org/gnome/shell/ui/main.js';
 import * as PanelMenu from 'resource:///org/gnome/shell/ui/panelMenu.js';
+import * as PopupMenu from 'resource:///org/gnome/shell/ui/popupMenu.js';
+import * as Slider from 'resource:///org/gnome/shell/ui/slider.js';
 
 import { Extension, gettext as _ } from 'resource:///org/gnome/shell/extensions/extension.js';
 
-// Debugging flag and function to control debug logging
-const DEBUG = false;
+import { ArtCache } from './artCache.js';
+import { formatLabel } from './labelFormat.js';
+import { TrackNotifier } from './trackNotifier.js';
+import { ListeningHistory } from './history.js';
+import { Scrobbler, isScrobbleable } from './scrobbler.js';
+import { LyricsLibrary, findLyricsLine } from './lyrics.js';
+import { MprisWatcher, MPRIS_BUS_NAME_PREFIX } from './mpris.js';
+import { trackIdToUri, uriToUrl, linkToUri } from './spotifyUri.js';
+import { getBookmarks, addBookmarks } from './bookmarks.js';
+import { SpotifySearchProvider } from './searchProvider.js';
+import { SpotifyQuickSettings } from './quickSettings.js';
+import { logDebug, logError } from './utils.js';
+
+// Icon shown for players other than Spotify
+const GENERIC_PLAYER_ICON = 'audio-x-generic-symbolic';
+
+// Size of the album art in the now-playing menu and the top bar, in pixels
+const MENU_COVER_SIZE = 128;
+const PANEL_COVER_SIZE = 16;
+
+// How often Position is polled while it is visible and playing, in milliseconds
+const POSITION_POLL_INTERVAL = 1000;
+
+// Marquee speed in pixels per second, and how long it rests at either end in milliseconds
+const MARQUEE_SPEED = 30;
+const MARQUEE_PAUSE = 1500;
+
+// A track counts as skipped in the listening history if less than this share of it was played
+const SKIP_THRESHOLD = 0.9;
+
+// How far the seek actions jump, in microseconds
+const SEEK_STEP = 10 * 1000000;
+
+// Opacity of controls the player currently doesn't allow, out of 255
+const DISABLED_CONTROL_OPACITY = 96;
+
+// Volume restored by the mute button if the player was already muted when it appeared
+const DEFAULT_UNMUTE_VOLUME = 0.5;
+
+// Sleep timer presets in minutes, the longest custom duration, and how often
+// the fade-out lowers the volume in milliseconds
+const SLEEP_TIMER_PRESETS = [15, 30, 60];
+const SLEEP_TIMER_MAX_MINUTES = 24 * 60;
+const SLEEP_TIMER_FADE_STEP = 200;
+
+// Lines of the lyrics view shown before and after the current one
+const LYRICS_CONTEXT_LINES = 2;
+
+// How long to wait for a launched Spotify to open a bookmark, in milliseconds
+const PENDING_URI_TIMEOUT = 30000;
+
+// How much the lyrics offset buttons shift the lyrics, in milliseconds
+const LYRICS_OFFSET_STEP = 250;
+
+// Targets of a drag from an application that may carry a Spotify link, most preferred first
+const DRAG_LINK_MIME_TYPES = ['text/uri-list', 'text/plain;charset=utf-8', 'text/plain'];
+
+// Keybinding settings keys and the action each one runs, see _runAction
+const SHORTCUTS = {
+    'shortcut-play-pause': 'play-pause',
+    'shortcut-next': 'next',
+    'shortcut-previous': 'previous',
+    'shortcut-volume-up': 'volume-up',
+    'shortcut-volume-down': 'volume-down',
+    'shortcut-seek-forward': 'seek-forward',
+    'shortcut-seek-backward': 'seek-backward',
+    'shortcut-raise-window': 'raise-window',
+    'shortcut-copy-track': 'copy-track',
+};
+
+// Mouse button of each click gesture, and the settings key of its action
+const CLICK_GESTURES = {
+    [Clutter.BUTTON_PRIMARY]: 'gesture-left-click',
+    [Clutter.BUTTON_MIDDLE]: 'gesture-middle-click',
+    [Clutter.BUTTON_SECONDARY]: 'gesture-right-click',
+};
+
+// Text measured to get the average character width for 'label-max-width-unit' = 'chars'
+const AVERAGE_WIDTH_SAMPLE = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ';
 
 /**
- * Logs debug messages to the GNOME Shell log if debugging is enabled.
- * @param {string} message - The debug message to log.
+ * Formats a duration as m:ss, or h:mm:ss for an hour or more.
+ * @param {number} microseconds - The duration in microseconds, as used by MPRIS.
+ * @returns {string} - The formatted duration.
  */
-function logDebug(message) {
-    if (DEBUG) {
-        console.log(`[Spotify Controls DEBUG]: ${message}`);
+function formatTime(microseconds) {
+    let totalSeconds = Math.max(0, Math.floor(microseconds / 1000000));
+    let hours = Math.floor(totalSeconds / 3600);
+    let minutes = Math.floor((totalSeconds % 3600) / 60);
+    let seconds = String(totalSeconds % 60).padStart(2, '0');
+
+    if (hours > 0) {
+        return `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`;
     }
+    return `${minutes}:${seconds}`;
 }
 
-/**
- * Logs error messages to the GNOME Shell log.
- * @param {Error} error - The error object.
- * @param {string} message - Additional context for the error.
- */
-function logError(error, message) {
-    console.error(`[Spotify Controls ERROR]: ${message}`, error);
-}
-
-// Define constants for Spotify's MPRIS D-Bus interface
-const SPOTIFY_BUS_NAME = 'org.mpris.MediaPlayer2.spotify'; // D-Bus bus name for Spotify
-const SPOTIFY_OBJECT_PATH = '/org/mpris/MediaPlayer2'; // Object path for Spotify's MPRIS interface
-const MPRIS_PLAYER_INTERFACE = 'org.mpris.MediaPlayer2.Player'; // Interface for player controls
-const PROPERTIES_INTERFACE = 'org.freedesktop.DBus.Properties'; // Interface for property changes
-
 /**
  * SpotifyIndicator Class
  * Extends PanelMenu.Button to create a Spotify controls indicator in the GNOME top bar.
@@ -64,25 +140,81 @@ var SpotifyIndicator = GObject.registerClass(
         /**
          * Constructor for SpotifyIndicator.
          * @param {string} extensionPath - The path to the extension's directory.
-         * @param {string} controlsPosition - Position of playback controls ('left' or 'right').
          * @param {Gio.Settings} settings - The settings object for the extension.
          */
-        _init(extensionPath, controlsPosition, settings) {
+        _init(extensionPath, settings) {
             super._init(0.0, 'Spotify Controls');
             logDebug('SpotifyIndicator initialized');
 
-            this.controlsPosition = controlsPosition;
             this._settings = settings;
-            this._signalSubscriptionId = null;
 
-            // Initialize the _activeTimeouts array
+            // Every MPRIS player on the bus, keyed by bus name, and the one the panel follows
+            this._players = new Map();
+            this._activePlayer = null;
+
+            // Timeouts cleared on destroy, see _addTimeout
             this._activeTimeouts = [];
 
+            // The running sleep timer, see _startSleepTimer, and its countdown tick
+            this._sleepTimer = null;
+            this._sleepTimerTickId = null;
+
+            // Spotify while paused for another player, and the pending resume, see _onOtherPlayerStatusChanged
+            this._interruptedPlayer = null;
+            this._interruptResumeId = null;
+
+            // A URI to open once a launched Spotify appears, see _playSpotifyUri
+            this._pendingUri = null;
+            this._pendingUriTimeoutId = null;
+
+            // The player paused by locking the screen or suspending, to resume afterwards
+            this._autoPausedPlayer = null;
+            this._locked = Main.sessionMode.isLocked;
+            this._sleepInhibitor = null;
+            this._sleepInhibitorCancellable = null;
+
+            // Pending single click while waiting for a double click, and unused smooth scroll deltas
+            this._clickTimeoutId = null;
+            this._scrollDeltaX = 0;
+            this._scrollDeltaY = 0;
+
             // Store the extensionPath for later use
             this.extensionPath = extensionPath;
 
+            // Downloads and caches album art for the top bar and the menu
+            this._artCache = new ArtCache(settings);
+            this._coverArtUrl = null;
+            this._coverLoaded = false;
+
+            // Track-change notifications, and the last track a notification was shown for
+            this._trackNotifier = new TrackNotifier(extensionPath);
+            this._lastNotifiedTrack = null;
+
             this._buildUI(extensionPath);
-            this._monitorSpotifyPresence();
+            this._buildMenu();
+            this._updateBookmarksMenu();
+
+            // Listening history, shown in the "Recently Played" submenu
+            this._history = new ListeningHistory(settings, () => this._updateHistoryMenu());
+            this._scrobbler = new Scrobbler(settings);
+
+            // Finds the current track, bookmarks and history from the Activities overview
+            this._searchProvider = null;
+            this._updateSearchProvider();
+
+            // The Quick Settings toggle for the 'quick-settings' placement, see _updatePlacement
+            this._quickSettings = null;
+            this._updatePlacement();
+
+            // Synced lyrics of the current track, from .lrc files in 'lyrics-folder'
+            this._lyricsLibrary = new LyricsLibrary(settings, () => this._updateLyricsDisplay());
+            this._lyrics = null;
+            this._lyricsTrackKey = null;
+            this._lyricsLineIndex = -1;
+            this._lyricsTimeoutId = null;
+
+            this._monitorPlayers();
+            this._bindShortcuts();
 
             // Connect the 'button-press-event' to the updated handler
             this.connect('button-press-event', this._onExtensionClicked.bind(this));
@@ -90,6 +222,65 @@ var SpotifyIndicator = GObject.registerClass(
             // Connect to changes in 'show-spotify-icon' and 'show-track-info' settings
             this._showIconChangedId = this._settings.connect('changed::show-spotify-icon', this._onShowIconChanged.bind(this));
             this._showTrackInfoChangedId = this._settings.connect('changed::show-track-info', this._onShowTrackInfoChanged.bind(this));
+            this._controlsLayoutChangedIds = ['controls-position', 'show-playback-controls']
+                .map(key => this._settings.connect(`changed::${key}`, this._updateControlsLayout.bind(this)));
+            this._panelCoverArtChangedId = this._settings.connect('changed::panel-cover-art', this._updateIconVisibility.bind(this));
+            this._labelFormatChangedId = this._settings.connect('changed::label-format', this._onLabelFormatChanged.bind(this));
+            this._historyChangedIds = ['history-enabled', 'history-menu-size']
+                .map(key => this._settings.connect(`changed::${key}`, this._updateHistoryMenu.bind(this)));
+            this._labelWidthChangedIds = ['label-max-width', 'label-max-width-unit', 'label-overflow']
+                .map(key => this._settings.connect(`changed::${key}`, this._updateLabelWidth.bind(this)));
+            this._podcastLabelFormatChangedId = this._settings.connect('changed::podcast-label-format', this._onLabelFormatChanged.bind(this));
+            this._lyricsFolderChangedId = this._settings.connect('changed::lyrics-folder', () => {
+                this._lyricsTrackKey = null;
+                this._loadLyrics(this._activePlayer ? this._activePlayer.track : null);
+            });
+            this._lyricsInPanelChangedId = this._settings.connect('changed::lyrics-in-panel', this._onLabelFormatChanged.bind(this));
+            this._adLabelChangedId = this._settings.connect('changed::ad-label', () => {
+                if (this._activePlayer && this._activePlayer.track.isAd) {
+                    this._updateTrackLabel(this._activePlayer.track);
+                    this._updateMenu(this._activePlayer.track);
+                }
+            });
+            this._muteAdsChangedId = this._settings.connect('changed::mute-ads', () => {
+                this._players.forEach(player => this._updateAdMute(player));
+            });
+            this._pauseOnSuspendChangedId = this._settings.connect('changed::pause-on-suspend', this._updateSleepInhibitor.bind(this));
+            this._bookmarksChangedId = this._settings.connect('changed::bookmarks', this._updateBookmarksMenu.bind(this));
+            this._searchProviderChangedId = this._settings.connect('changed::search-provider', this._updateSearchProvider.bind(this));
+            this._placementChangedId = this._settings.connect('changed::position', this._updatePlacement.bind(this));
+            this._pauseForOtherPlayersChangedId = this._settings.connect('changed::pause-for-other-players', () => {
+                if (!this._settings.get_boolean('pause-for-other-players')) {
+                    this._cancelInterruption();
+                }
+            });
+            this._sleepTimerChangedIds = [
+                this._settings.connect('changed::sleep-timer-in-panel', this._updateSleepTimerDisplay.bind(this)),
+                this._settings.connect('changed::sleep-timer-fade', this._scheduleSleepTimer.bind(this)),
+            ];
+
+            // Re-evaluate the followed player when the selection settings change
+            this._playerSelectionChangedId = this._settings.connect('changed::player-selection-mode', this._updateActivePlayer.bind(this));
+            this._preferredPlayerChangedId = this._settings.connect('changed::preferred-player', this._updateActivePlayer.bind(this));
+
+            // Only poll the track position while it is actually on screen
+            this._showTrackTimeChangedId = this._settings.connect('changed::show-track-time', () => {
+                this._updatePositionDisplay();
+                this._updatePositionPolling();
+            });
+            this.menu.connect('open-state-changed', () => this._updatePositionPolling());
+            this.connect('notify::mapped', () => this._updatePositionPolling());
+
+            // Spotify links dragged from applications onto the track info are played, see _onDragEnd
+            this._dragBeginId = Main.xdndHandler.connect('drag-begin', this._onDragBegin.bind(this));
+            this._dragEndId = Main.xdndHandler.connect('drag-end', this._onDragEnd.bind(this));
+
+            // Pause on screen lock and before suspend, see _autoPause
+            this._sessionModeUpdatedId = Main.sessionMode.connect('updated', this._onSessionModeUpdated.bind(this));
+            this._loginManager = LoginManager.getLoginManager();
+            this._prepareForSleepId = this._loginManager.connect('prepare-for-sleep',
+                (loginManager, aboutToSuspend) => this._onPrepareForSleep(aboutToSuspend));
+            this._updateSleepInhibitor();
         }
 
         /**
@@ -108,38 +299,38 @@ var SpotifyIndicator = GObject.registerClass(
             logDebug('Building UI');
 
             // Create the main horizontal box layout for the indicator
-            let hbox = new St.BoxLayout({ style_class: 'spotify-hbox' });
-            this.add_child(hbox);
-
-            // Create a container for playback controls
-            let controlsBox = new St.BoxLayout({ style_class: 'spotify-controls-box' });
-
-            // Conditionally add playback controls based on the setting
-            if (this._settings.get_boolean('show-playback-controls')) {
-                // Create the control buttons: Previous, Play/Pause, Next
-                this.prevButton = new St.Button({
-                    style_class: 'spotify-status-icon',
-                    child: new St.Icon({ icon_name: 'media-skip-backward-symbolic' }),
-                });
-                this.playPauseButton = new St.Button({
-                    style_class: 'spotify-status-icon',
-                    child: new St.Icon({ icon_name: 'media-playback-pause-symbolic' }), 
-                });
-                this.nextButton = new St.Button({
-                    style_class: 'spotify-status-icon',
-                    child: new St.Icon({ icon_name: 'media-skip-forward-symbolic' }),
-                });
+            this.hbox = new St.BoxLayout({ style_class: 'spotify-hbox' });
+            this.add_child(this.hbox);
 
-                // Connect the 'clicked' signal of each button to their respective handler functions
-                this.prevButton.connect('clicked', () => this._sendMPRISCommand('Previous'));
-                this.playPauseButton.connect('clicked', () => this._sendMPRISCommand('PlayPause'));
-                this.nextButton.connect('clicked', () => this._sendMPRISCommand('Next'));
+            // Create a container for playback controls, shown depending on 'show-playback-controls'
+            this.controlsBox = new St.BoxLayout({ style_class: 'spotify-controls-box' });
 
-                // Add buttons to the controlsBox
-                controlsBox.add_child(this.prevButton);
-                controlsBox.add_child(this.playPauseButton);
-                controlsBox.add_child(this.nextButton);
-            }
+            // Create the control buttons: Previous, Play/Pause, Next
+            this.prevButton = new St.Button({
+                style_class: 'spotify-status-icon',
+                child: new St.Icon({ icon_name: 'media-skip-backward-symbolic' }),
+            });
+            this.playPauseButton = new St.Button({
+                style_class: 'spotify-status-icon',
+                child: new St.Icon({ icon_name: 'media-playback-pause-symbolic' }), 
+            });
+            this.nextButton = new St.Button({
+                style_class: 'spotify-status-icon',
+                child: new St.Icon({ icon_name: 'media-skip-forward-symbolic' }),
+            });
+
+            // Connect the 'clicked' signal of each button to their respective handler functions
+            this.prevButton.connect('clicked', () => this._sendMPRISCommand('Previous'));
+            this.playPauseButton.connect('clicked', () => this._sendMPRISCommand('PlayPause'));
+            this.nextButton.connect('clicked', () => this._sendMPRISCommand('Next'));
+
+            // Add buttons to the controlsBox
+            this.controlsBox.add_child(this.prevButton);
+            this.controlsBox.add_child(this.playPauseButton);
+            this.controlsBox.add_child(this.nextButton);
+
+            // Spacing between the controls and the track info, filled in by _updateControlsLayout
+            this.controlsSpacer = new St.BoxLayout();
 
 
             // Container to contain the track info and spotify logo
@@ -149,7 +340,7 @@ var SpotifyIndicator = GObject.registerClass(
             this.trackButton = new St.Button({
                 child: this.trackBox
             });
-            this.trackButton.connect("clicked", () => this._activateSpotifyWindow());
+            this.trackButton.connect("clicked", () => this._onTrackButtonClicked());
             
 
             // Spotify icon - Load the SVG from the icons directory using extensionPath
@@ -159,11 +350,19 @@ var SpotifyIndicator = GObject.registerClass(
                 style_class: 'spotify-icon',
             });
 
+            // Album art thumbnail, replacing or next to the Spotify icon once loaded
+            this.coverIcon = new St.Icon({
+                icon_size: PANEL_COVER_SIZE,
+                style_class: 'spotify-cover-icon',
+                visible: false,
+            });
+
             // Initially set the visibility based on the settings
-            this.spotifyIcon.visible = this._settings.get_boolean('show-spotify-icon');
+            this._updateIconVisibility();
             
-            // Add the Spotify icon and separators to the UI
+            // Add the Spotify icon, album art and separators to the UI
             this.trackBox.add_child(this.spotifyIcon);
+            this.trackBox.add_child(this.coverIcon);
             this.trackBox.add_child(this._createSeparator());
             this.trackBox.add_child(this._createSeparator());
             this.trackBox.add_child(this._createSeparator());
@@ -180,35 +379,503 @@ var SpotifyIndicator = GObject.registerClass(
             // Conditionally display the track info based on the setting
             this.trackLabel.visible = this._settings.get_boolean('show-track-info');
 
+            // Clip the label to its maximum width, so the marquee can scroll it
+            this.trackLabelClip = new St.Widget({
+                layout_manager: new Clutter.FixedLayout(),
+                clip_to_allocation: true,
+                y_expand: true,
+                y_align: Clutter.ActorAlign.CENTER,
+            });
+            this.trackLabelClip.add_child(this.trackLabel);
+
             // add trackLabel to the UI
-            this.trackBox.add_child(this.trackLabel);
+            this.trackBox.add_child(this.trackLabelClip);
+
+            // Apply the maximum width once the label knows its font, and keep the marquee in sync
+            this.trackLabel.connect('style-changed', () => this._updateLabelWidth());
+            this.trackLabel.connect('notify::text', () => this._updateMarquee());
+            this.trackLabel.connect('notify::mapped', () => this._updateMarquee());
+            this.trackButton.connect('notify::hover', () => this._updateMarquee());
+
+            // Elapsed/total time readout, shown next to the track info if enabled
+            this.timeLabel = new St.Label({
+                style_class: 'spotify-time-label',
+                y_expand: true,
+                y_align: Clutter.ActorAlign.CENTER,
+                visible: false,
+            });
+            this.trackBox.add_child(this.timeLabel);
+
+            // Sleep timer countdown, shown while a timer runs if 'sleep-timer-in-panel' is on
+            this.sleepTimerBox = new St.BoxLayout({ style_class: 'spotify-sleep-timer', visible: false });
+            this.sleepTimerBox.add_child(new St.Icon({
+                icon_name: 'alarm-symbolic',
+                style_class: 'spotify-icon',
+                y_align: Clutter.ActorAlign.CENTER,
+            }));
+            this.sleepTimerLabel = new St.Label({
+                style_class: 'spotify-time-label',
+                y_expand: true,
+                y_align: Clutter.ActorAlign.CENTER,
+            });
+            this.sleepTimerBox.add_child(this.sleepTimerLabel);
+            this.trackBox.add_child(this.sleepTimerBox);
+
+            // Add scroll event listener to widget for the scroll actions,
+            // which only run while 'enable-volume-control' is on
+            this.connect('scroll-event', this._onScroll.bind(this));
+
+            // Arrange the controls and the track info
+            this.hbox.add_child(this.trackButton);
+            this._updateControlsLayout();
+
+            logDebug('UI built');
+        }
+
+        /**
+         * Returns the validated 'controls-position' setting.
+         * @returns {string} - 'left' or 'right'.
+         */
+        _getControlsPosition() {
+            let controlsPosition = this._settings.get_string('controls-position');
+            return controlsPosition === 'left' ? 'left' : 'right';
+        }
+
+        /**
+         * Places the playback controls before or after the track info, depending on
+         * 'controls-position', and shows them if 'show-playback-controls' is on.
+         * Called again whenever either setting changes; the loaded track info is kept.
+         */
+        _updateControlsLayout() {
+            this.controlsPosition = this._getControlsPosition();
+            let showControls = this._settings.get_boolean('show-playback-controls');
+
+            for (let actor of [this.controlsBox, this.controlsSpacer]) {
+                if (actor.get_parent()) {
+                    this.hbox.remove_child(actor);
+                }
+            }
 
-            // Add scroll event listener to widget for volume control
-            if (this._settings.get_boolean('enable-volume-control')) {
-                this.connect('scroll-event', this._adjustVolume.bind(this));
+            // Controls on the left get one more separator than controls on the right
+            this.controlsSpacer.destroy_all_children();
+            let separatorCount = this.controlsPosition === 'left' ? 3 : 2;
+            for (let i = 0; i < separatorCount; i++) {
+                this.controlsSpacer.add_child(this._createSeparator());
             }
 
-            // Based on controlsPosition, arrange the UI elements
             if (this.controlsPosition === 'left') {
-                // Add playback controls first if they are enabled
-                if (this._settings.get_boolean('show-playback-controls')) {
-                    hbox.add_child(controlsBox);
-                    hbox.add_child(this._createSeparator());
-                    hbox.add_child(this._createSeparator());
-                    hbox.add_child(this._createSeparator());
-                }
-                hbox.add_child(this.trackButton);
+                // Add playback controls first
+                this.hbox.insert_child_below(this.controlsSpacer, this.trackButton);
+                this.hbox.insert_child_below(this.controlsBox, this.controlsSpacer);
             } else {
-                // Add playback controls last (default behavior) if they are enabled
-                hbox.add_child(this.trackButton);
-                if (this._settings.get_boolean('show-playback-controls')) {
-                    hbox.add_child(this._createSeparator());
-                    hbox.add_child(this._createSeparator());
-                    hbox.add_child(controlsBox);
-                }
+                // Add playback controls last (default behavior)
+                this.hbox.insert_child_above(this.controlsSpacer, this.trackButton);
+                this.hbox.insert_child_above(this.controlsBox, this.controlsSpacer);
+            }
+
+            this.controlsBox.visible = showControls;
+            this.controlsSpacer.visible = showControls;
+            logDebug(`Controls ${showControls ? 'shown' : 'hidden'} to the ${this.controlsPosition}`);
+        }
+
+        /**
+         * Builds the now-playing popup menu: album art, full track details
+         * and the same Previous/Play-Pause/Next controls as the top bar.
+         */
+        _buildMenu() {
+            logDebug('Building menu');
+
+            // Album art and track details
+            let infoItem = new PopupMenu.PopupBaseMenuItem({ reactive: false, can_focus: false });
+            let infoBox = new St.BoxLayout({ vertical: true, x_expand: true, style_class: 'spotify-menu-info' });
+
+            this.menuCover = new St.Icon({
+                icon_name: GENERIC_PLAYER_ICON,
+                icon_size: MENU_COVER_SIZE,
+                x_align: Clutter.ActorAlign.CENTER,
+                style_class: 'spotify-menu-cover',
+            });
+            this.menuTitleLabel = new St.Label({ text: _('No Track Playing'), style_class: 'spotify-menu-title' });
+            this.menuArtistLabel = new St.Label({ style_class: 'spotify-menu-artist' });
+            this.menuAlbumLabel = new St.Label({ style_class: 'spotify-menu-album' });
+            this.menuTrackNumberLabel = new St.Label({ style_class: 'spotify-menu-track-number' });
+
+            infoBox.add_child(this.menuCover);
+            infoBox.add_child(this.menuTitleLabel);
+            infoBox.add_child(this.menuArtistLabel);
+            infoBox.add_child(this.menuAlbumLabel);
+            infoBox.add_child(this.menuTrackNumberLabel);
+            infoItem.add_child(infoBox);
+            this.menu.addMenuItem(infoItem);
+
+            // Seek slider with elapsed and remaining time
+            this.positionItem = new PopupMenu.PopupBaseMenuItem({ activate: false });
+            this.positionItem.visible = false;
+            let positionBox = new St.BoxLayout({ vertical: true, x_expand: true });
+            let positionTimesBox = new St.BoxLayout({ x_expand: true, style_class: 'spotify-menu-times' });
+
+            this.positionSlider = new Slider.Slider(0);
+            this.positionSlider.accessible_name = _('Track position');
+            this.positionSlider.connect('notify::value', () => this._onPositionSliderChanged());
+            this.positionSlider.connect('drag-begin', () => {
+                this._positionSliderDragging = true;
+            });
+            this.positionSlider.connect('drag-end', () => {
+                this._positionSliderDragging = false;
+                this._onPositionSliderChanged();
+            });
+
+            this.elapsedTimeLabel = new St.Label({ text: formatTime(0), x_expand: true, style_class: 'spotify-menu-time' });
+            this.remainingTimeLabel = new St.Label({ text: formatTime(0), style_class: 'spotify-menu-time' });
+
+            positionTimesBox.add_child(this.elapsedTimeLabel);
+            positionTimesBox.add_child(this.remainingTimeLabel);
+            positionBox.add_child(this.positionSlider);
+            positionBox.add_child(positionTimesBox);
+            this.positionItem.add_child(positionBox);
+            this.menu.addMenuItem(this.positionItem);
+
+            // Playback controls
+            let controlsItem = new PopupMenu.PopupBaseMenuItem({ reactive: false, can_focus: false });
+            let menuControlsBox = new St.BoxLayout({
+                x_expand: true,
+                x_align: Clutter.ActorAlign.CENTER,
+                style_class: 'spotify-menu-controls',
+            });
+
+            this.menuPrevButton = new St.Button({
+                style_class: 'spotify-menu-control-button',
+                child: new St.Icon({ icon_name: 'media-skip-backward-symbolic' }),
+            });
+            this.menuPlayPauseButton = new St.Button({
+                style_class: 'spotify-menu-control-button',
+                child: new St.Icon({ icon_name: 'media-playback-start-symbolic' }),
+            });
+            this.menuNextButton = new St.Button({
+                style_class: 'spotify-menu-control-button',
+                child: new St.Icon({ icon_name: 'media-skip-forward-symbolic' }),
+            });
+
+            this.menuPrevButton.connect('clicked', () => this._sendMPRISCommand('Previous'));
+            this.menuPlayPauseButton.connect('clicked', () => this._sendMPRISCommand('PlayPause'));
+            this.menuNextButton.connect('clicked', () => this._sendMPRISCommand('Next'));
+
+            menuControlsBox.add_child(this.menuPrevButton);
+            menuControlsBox.add_child(this.menuPlayPauseButton);
+            menuControlsBox.add_child(this.menuNextButton);
+            controlsItem.add_child(menuControlsBox);
+            this.menu.addMenuItem(controlsItem);
+
+            // Volume slider with a mute button, for players that report their volume
+            this.volumeItem = new PopupMenu.PopupBaseMenuItem({ activate: false });
+            this.volumeItem.visible = false;
+
+            this.muteButton = new St.Button({
+                style_class: 'spotify-menu-control-button',
+                child: new St.Icon({ icon_name: 'audio-volume-high-symbolic', icon_size: 16 }),
+                accessible_name: _('Mute'),
+                y_align: Clutter.ActorAlign.CENTER,
+            });
+            this.muteButton.connect('clicked', () => this._toggleMute());
+
+            this.volumeSlider = new Slider.Slider(0);
+            this.volumeSlider.x_expand = true;
+            this.volumeSlider.accessible_name = _('Volume');
+            this.volumeSlider.connect('notify::value', () => this._onVolumeSliderChanged());
+            this.volumeSlider.connect('drag-begin', () => {
+                this._volumeSliderDragging = true;
+            });
+            this.volumeSlider.connect('drag-end', () => {
+                this._volumeSliderDragging = false;
+            });
+
+            this.volumeItem.add_child(this.muteButton);
+            this.volumeItem.add_child(this.volumeSlider);
+            this.menu.addMenuItem(this.volumeItem);
+
+            // Synced lyrics: the current line with a few lines around it, and offset buttons
+            this.lyricsItem = new PopupMenu.PopupBaseMenuItem({ reactive: false, can_focus: false });
+            this.lyricsItem.visible = false;
+            let lyricsBox = new St.BoxLayout({ vertical: true, x_expand: true, style_class: 'spotify-lyrics' });
+
+            this.lyricsLabels = [];
+            for (let i = 0; i < LYRICS_CONTEXT_LINES * 2 + 1; i++) {
+                let label = new St.Label({ style_class: 'spotify-lyrics-line', x_align: Clutter.ActorAlign.CENTER });
+                label.clutter_text.line_wrap = true;
+                label.clutter_text.ellipsize = Pango.EllipsizeMode.NONE;
+                label.clutter_text.line_alignment = Pango.Alignment.CENTER;
+                this.lyricsLabels.push(label);
+                lyricsBox.add_child(label);
+            }
+            this.lyricsLabels[LYRICS_CONTEXT_LINES].add_style_class_name('spotify-lyrics-current');
+
+            let lyricsOffsetBox = new St.BoxLayout({ x_align: Clutter.ActorAlign.CENTER, style_class: 'spotify-lyrics-offset' });
+            let lyricsMinusButton = new St.Button({
+                style_class: 'spotify-menu-control-button',
+                child: new St.Icon({ icon_name: 'list-remove-symbolic', icon_size: 16 }),
+                accessible_name: _('Show lyrics later'),
+            });
+            let lyricsPlusButton = new St.Button({
+                style_class: 'spotify-menu-control-button',
+                child: new St.Icon({ icon_name: 'list-add-symbolic', icon_size: 16 }),
+                accessible_name: _('Show lyrics earlier'),
+            });
+            this.lyricsOffsetLabel = new St.Label({ y_align: Clutter.ActorAlign.CENTER, style_class: 'spotify-menu-time' });
+
+            lyricsMinusButton.connect('clicked', () => this._adjustLyricsOffset(-LYRICS_OFFSET_STEP));
+            lyricsPlusButton.connect('clicked', () => this._adjustLyricsOffset(LYRICS_OFFSET_STEP));
+
+            lyricsOffsetBox.add_child(lyricsMinusButton);
+            lyricsOffsetBox.add_child(this.lyricsOffsetLabel);
+            lyricsOffsetBox.add_child(lyricsPlusButton);
+            lyricsBox.add_child(lyricsOffsetBox);
+            this.lyricsItem.add_child(lyricsBox);
+            this.menu.addMenuItem(this.lyricsItem);
+
+            // Copying the current track, shown by _updateMenu while there is one
+            this.shareSeparator = new PopupMenu.PopupSeparatorMenuItem();
+            this.shareSeparator.visible = false;
+            this.menu.addMenuItem(this.shareSeparator);
+            this.shareSubMenu = new PopupMenu.PopupSubMenuMenuItem(_('Share Track'), true);
+            this.shareSubMenu.icon.icon_name = 'edit-copy-symbolic';
+            this.shareSubMenu.visible = false;
+
+            this.copyLinkItem = new PopupMenu.PopupMenuItem(_('Copy Link'));
+            this.copyLinkItem.connect('activate', () => this._copyTrack('link'));
+            this.shareSubMenu.menu.addMenuItem(this.copyLinkItem);
+
+            this.copyUriItem = new PopupMenu.PopupMenuItem(_('Copy Spotify URI'));
+            this.copyUriItem.connect('activate', () => this._copyTrack('uri'));
+            this.shareSubMenu.menu.addMenuItem(this.copyUriItem);
+
+            let copyTextItem = new PopupMenu.PopupMenuItem(_('Copy as Text'));
+            copyTextItem.connect('activate', () => this._copyTrack('text'));
+            this.shareSubMenu.menu.addMenuItem(copyTextItem);
+
+            this.menu.addMenuItem(this.shareSubMenu);
+
+            // Sleep timer presets, a custom duration and the running timer's countdown
+            this.menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
+            this.sleepTimerSubMenu = new PopupMenu.PopupSubMenuMenuItem(_('Sleep Timer'), true);
+            this.sleepTimerSubMenu.icon.icon_name = 'alarm-symbolic';
+
+            for (let minutes of SLEEP_TIMER_PRESETS) {
+                let item = new PopupMenu.PopupMenuItem(_('%d Minutes').format(minutes));
+                item.connect('activate', () => this._startSleepTimer(minutes));
+                this.sleepTimerSubMenu.menu.addMenuItem(item);
+            }
+
+            let endOfTrackItem = new PopupMenu.PopupMenuItem(_('End of Track'));
+            endOfTrackItem.connect('activate', () => this._startSleepTimer(null));
+            this.sleepTimerSubMenu.menu.addMenuItem(endOfTrackItem);
+
+            let customItem = new PopupMenu.PopupBaseMenuItem({ activate: false });
+            customItem.add_child(new St.Label({ text: _('Custom'), x_expand: true, y_align: Clutter.ActorAlign.CENTER }));
+            this.sleepTimerEntry = new St.Entry({
+                style_class: 'spotify-sleep-timer-entry',
+                hint_text: _('Minutes'),
+                can_focus: true,
+            });
+            this.sleepTimerEntry.clutter_text.connect('activate', () => this._onSleepTimerEntryActivated());
+            customItem.add_child(this.sleepTimerEntry);
+            this.sleepTimerSubMenu.menu.addMenuItem(customItem);
+
+            this.sleepTimerCancelItem = new PopupMenu.PopupMenuItem(_('Cancel Timer'));
+            this.sleepTimerCancelItem.visible = false;
+            this.sleepTimerCancelItem.connect('activate', () => this._cancelSleepTimer());
+            this.sleepTimerSubMenu.menu.addMenuItem(this.sleepTimerCancelItem);
+
+            this.menu.addMenuItem(this.sleepTimerSubMenu);
+
+            // Saved playlists, albums etc., filled in by _updateBookmarksMenu
+            this.bookmarksSubMenu = new PopupMenu.PopupSubMenuMenuItem(_('Bookmarks'), true);
+            this.bookmarksSubMenu.icon.icon_name = 'starred-symbolic';
+            this.menu.addMenuItem(this.bookmarksSubMenu);
+
+            // Recently played tracks, filled in by _updateHistoryMenu
+            this.historySeparator = new PopupMenu.PopupSeparatorMenuItem();
+            this.historySeparator.visible = false;
+            this.menu.addMenuItem(this.historySeparator);
+            this.historySubMenu = new PopupMenu.PopupSubMenuMenuItem(_('Recently Played'));
+            this.historySubMenu.visible = false;
+            this.menu.addMenuItem(this.historySubMenu);
+        }
+
+        /**
+         * PanelMenu.Button toggles its menu on any press. The menu is opened
+         * by the 'open-menu' gesture action instead, so that every click can be mapped.
+         * @param {Clutter.Event} event - The event object.
+         * @returns {boolean} - Always propagates the event.
+         */
+        vfunc_event(event) {
+            return Clutter.EVENT_PROPAGATE;
+        }
+
+        /**
+         * Handles a primary click on the track info. While a double click action
+         * is set, the single click action waits until a second click can't follow.
+         */
+        _onTrackButtonClicked() {
+            if (this._settings.get_string('gesture-double-click') === 'none') {
+                this._runAction(this._settings.get_string('gesture-left-click'));
+                return;
+            }
+
+            if (this._clickTimeoutId) {
+                clearTimeout(this._clickTimeoutId);
+                this._clickTimeoutId = null;
+                this._runAction(this._settings.get_string('gesture-double-click'));
+                return;
+            }
+
+            this._clickTimeoutId = setTimeout(() => {
+                this._clickTimeoutId = null;
+                this._runAction(this._settings.get_string('gesture-left-click'));
+            }, Clutter.Settings.get_default().double_click_time);
+        }
+
+        /**
+         * Returns the maximum width of the track label in logical pixels,
+         * converting from characters if 'label-max-width-unit' is 'chars'.
+         * @returns {number} - The maximum width, or 0 for no limit.
+         */
+        _getLabelMaxWidth() {
+            const maxWidth = this._settings.get_int('label-max-width');
+            if (maxWidth <= 0 || this._settings.get_string('label-max-width-unit') === 'pixels') {
+                return Math.max(0, maxWidth);
+            }
+
+            // Measure an average character in the label's own font
+            let layout = this.trackLabel.clutter_text.get_layout().copy();
+            layout.set_text(AVERAGE_WIDTH_SAMPLE, -1);
+            let [sampleWidth] = layout.get_pixel_size();
+            let scaleFactor = St.ThemeContext.get_for_stage(global.stage).scale_factor;
+
+            return Math.ceil(sampleWidth / AVERAGE_WIDTH_SAMPLE.length * maxWidth / scaleFactor);
+        }
+
+        /**
+         * Applies 'label-max-width' and 'label-overflow' to the track label.
+         * Ellipsizing is done by the label itself; the marquee moves the label
+         * inside the clipping trackLabelClip.
+         */
+        _updateLabelWidth() {
+            if (!this.trackLabel) {
+                return;
+            }
+
+            const maxWidth = this._getLabelMaxWidth();
+            const overflow = this._settings.get_string('label-overflow');
+            const isMarquee = overflow === 'marquee-hover' || overflow === 'marquee-always';
+
+            this._stopMarquee();
+
+            if (maxWidth === 0) {
+                this.trackLabel.style = null;
+                this.trackLabelClip.style = null;
+                this.trackLabel.clutter_text.ellipsize = Pango.EllipsizeMode.END;
+            } else if (isMarquee && this._canAnimate()) {
+                this.trackLabel.style = null;
+                this.trackLabelClip.style = `max-width: ${maxWidth}px;`;
+                this.trackLabel.clutter_text.ellipsize = Pango.EllipsizeMode.NONE;
+            } else {
+                this.trackLabel.style = `max-width: ${maxWidth}px;`;
+                this.trackLabelClip.style = null;
+                this.trackLabel.clutter_text.ellipsize = (overflow === 'middle')
+                    ? Pango.EllipsizeMode.MIDDLE
+                    : Pango.EllipsizeMode.END;
+            }
+
+            this._updateMarquee();
+        }
+
+        /**
+         * Whether animations are enabled; without them the marquee falls back to ellipsizing.
+         * @returns {boolean} - True if animations are enabled.
+         */
+        _canAnimate() {
+            return St.Settings.get().enable_animations;
+        }
+
+        /**
+         * Returns how far the track label sticks out of its maximum width.
+         * @returns {number} - The overflow in physical pixels, 0 if the text fits.
+         */
+        _getLabelOverflow() {
+            const maxWidth = this._getLabelMaxWidth();
+            if (maxWidth === 0) {
+                return 0;
+            }
+
+            let scaleFactor = St.ThemeContext.get_for_stage(global.stage).scale_factor;
+            let [, naturalWidth] = this.trackLabel.get_preferred_width(-1);
+            return Math.max(0, Math.ceil(naturalWidth - maxWidth * scaleFactor));
+        }
+
+        /**
+         * Starts or stops the marquee. It only runs while the label is on screen,
+         * overflows, and either 'label-overflow' is 'marquee-always' or the pointer
+         * is over the track info; otherwise no transition is running at all.
+         */
+        _updateMarquee() {
+            if (!this.trackLabel || !this.trackButton) {
+                return;
+            }
+
+            const overflow = this._settings.get_string('label-overflow');
+            const shouldRun = this._canAnimate() &&
+                (overflow === 'marquee-always' || (overflow === 'marquee-hover' && this.trackButton.hover)) &&
+                this.trackLabel.mapped &&
+                this._getLabelOverflow() > 0;
+
+            if (shouldRun && !this._marqueeRunning) {
+                this._marqueeRunning = true;
+                this._runMarqueeCycle();
+            } else if (!shouldRun && this._marqueeRunning) {
+                this._stopMarquee();
+            }
+        }
+
+        /**
+         * Scrolls the label to its end after a pause, then jumps back and repeats.
+         * The distance is measured each cycle, so text changes are picked up.
+         */
+        _runMarqueeCycle() {
+            let distance = this._getLabelOverflow();
+            if (distance === 0) {
+                this._stopMarquee();
+                return;
             }
 
-            logDebug('UI built with controls positioned to the ' + this.controlsPosition);
+            this.trackLabel.translation_x = 0;
+            this.trackLabel.ease({
+                translation_x: -distance,
+                delay: MARQUEE_PAUSE,
+                duration: Math.round(distance / MARQUEE_SPEED * 1000),
+                mode: Clutter.AnimationMode.LINEAR,
+                onComplete: () => {
+                    // Hold the end of the text for a moment before starting over
+                    this._marqueeTimeoutId = setTimeout(() => {
+                        this._marqueeTimeoutId = null;
+                        this._runMarqueeCycle();
+                    }, MARQUEE_PAUSE);
+                },
+            });
+        }
+
+        /**
+         * Stops the marquee and moves the label back to its start.
+         */
+        _stopMarquee() {
+            this._marqueeRunning = false;
+            if (this._marqueeTimeoutId) {
+                clearTimeout(this._marqueeTimeoutId);
+                this._marqueeTimeoutId = null;
+            }
+            if (this.trackLabel) {
+                this.trackLabel.remove_all_transitions();
+                this.trackLabel.translation_x = 0;
+            }
         }
 
         /**
@@ -220,8 +887,8 @@ var SpotifyIndicator = GObject.registerClass(
             logDebug(`'show-spotify-icon' changed to ${showIcon}`);
 
             if (this.spotifyIcon) {
-                this.spotifyIcon.visible = showIcon;
-                logDebug(`Spotify icon visibility set to ${showIcon}`);
+                this._updateIconVisibility();
+                logDebug(`Spotify icon visibility set to ${this.spotifyIcon.visible}`);
             } else if (showIcon) {
                 // If for some reason the icon wasn't created, create and add it
                 this.spotifyIcon = new St.Icon({
@@ -241,6 +908,64 @@ var SpotifyIndicator = GObject.registerClass(
             }
         }
 
+        /**
+         * Shows the Spotify icon and the album art thumbnail according to
+         * 'show-spotify-icon' and 'panel-cover-art'. The icon stands in for the
+         * cover while it is loading or if it failed to load.
+         */
+        _updateIconVisibility() {
+            const coverMode = this._settings.get_string('panel-cover-art');
+            const showCover = coverMode !== 'off' && this._coverLoaded;
+
+            if (this.spotifyIcon) {
+                this.spotifyIcon.visible = this._settings.get_boolean('show-spotify-icon') &&
+                    !(coverMode === 'replace-logo' && showCover);
+            }
+            if (this.coverIcon) {
+                this.coverIcon.visible = showCover;
+            }
+        }
+
+        /**
+         * Loads the album art of the given track into the top bar thumbnail
+         * and the menu cover through the on-disk cache.
+         * @param {Object|null} track - The track, or null if there is none.
+         */
+        async _updateCoverArt(track) {
+            if (!this._artCache) {
+                return;
+            }
+
+            let artUrl = track?.artUrl ?? null;
+            if (artUrl === this._coverArtUrl) {
+                return;
+            }
+            this._coverArtUrl = artUrl;
+
+            // Fall back to the logo while the new cover loads
+            this._coverLoaded = false;
+            this._updateIconVisibility();
+            if (this.menuCover) {
+                this.menuCover.icon_name = GENERIC_PLAYER_ICON;
+            }
+            this._syncQuickSettings();
+
+            let icon = await this._artCache.getIcon(artUrl);
+
+            // Ignore the result if the track changed again meanwhile or the indicator is gone
+            if (!icon || artUrl !== this._coverArtUrl || !this.coverIcon) {
+                return;
+            }
+
+            this.coverIcon.gicon = icon;
+            if (this.menuCover) {
+                this.menuCover.gicon = icon;
+            }
+            this._coverLoaded = true;
+            this._updateIconVisibility();
+            this._syncQuickSettings();
+        }
+
         /**
          * Callback function when the 'show-track-info' setting changes.
          * Shows or hides the Artist/Track information based on the new setting.
@@ -256,24 +981,21 @@ var SpotifyIndicator = GObject.registerClass(
         }
 
         /**
-         * Handles the click event on the extension.
+         * Handles the click event on the extension. Left clicks on the track info
+         * are handled by _onTrackButtonClicked; middle and right clicks anywhere
+         * on the indicator run their 'gesture-*' action.
          * @param {Clutter.Actor} actor - The actor that received the event.
          * @param {Clutter.Event} event - The event object.
+         * @returns {boolean} - Whether the event was handled.
          */
         _onExtensionClicked(actor, event) {
             const button = event.get_button();
-            
-            // Retrieve user setting for enabling middle-click
-            const enableMiddleClick = this._settings.get_boolean('enable-middle-click');
-
-            if (button === Clutter.BUTTON_MIDDLE && enableMiddleClick) {
-                // Only do Play/Pause if middle-click is enabled
-                this._sendMPRISCommand('PlayPause')
-                    .catch(() => {
-                        // If PlayPause fails, attempt to launch Spotify
-                        this._launchSpotify();
-                    });
+            if (button === Clutter.BUTTON_PRIMARY || !CLICK_GESTURES[button]) {
+                return Clutter.EVENT_PROPAGATE;
             }
+
+            this._runAction(this._settings.get_string(CLICK_GESTURES[button]));
+            return Clutter.EVENT_STOP;
         }
 
         /**
@@ -281,6 +1003,12 @@ var SpotifyIndicator = GObject.registerClass(
          * and the current window state.
          */
         _activateSpotifyWindow() {
+            // Other players have no known window class, so ask them to raise themselves
+            if (this._activePlayer && !this._activePlayer.isSpotify) {
+                this._raisePlayer(this._activePlayer);
+                return;
+            }
+
             logDebug('Attempting to activate Spotify window');
 
             // Retrieve the user setting for whether to minimize on second click
@@ -371,253 +1099,1691 @@ var SpotifyIndicator = GObject.registerClass(
         }
 
         /**
-         * Monitors Spotify's presence on the D-Bus.
-         * Shows or hides the indicator based on whether Spotify is running.
+         * Monitors the session bus for MPRIS players through an MprisWatcher.
          */
-        _monitorSpotifyPresence() {
-            logDebug('Starting to monitor Spotify presence');
+        _monitorPlayers() {
+            logDebug('Starting to monitor MPRIS players');
             this.hide();
 
-            // Watch for the Spotify MPRIS D-Bus name to appear or vanish
-            this._spotifyWatcherId = Gio.DBus.session.watch_name(
-                SPOTIFY_BUS_NAME,
-                Gio.BusNameWatcherFlags.NONE,
-                this._onSpotifyAppeared.bind(this),
-                this._onSpotifyVanished.bind(this)
-            );
+            this._mprisWatcher = new MprisWatcher();
+            this._mprisWatcher.connect('player-added', (watcher, player) => this._onPlayerAppeared(player));
+            this._mprisWatcher.connect('player-removed', (watcher, player) => this._onPlayerVanished(player));
+            this._mprisWatcher.start();
         }
 
         /**
-         * Callback function when Spotify appears on the D-Bus.
-         * Shows the indicator and subscribes to property changes.
+         * Callback function when an MPRIS player is ready to be used.
+         * Starts tracking it and follows its state changes.
+         * @param {MprisPlayer} player - The player.
          */
-        async _onSpotifyAppeared() {
-            logDebug('Spotify appeared on D-Bus');
-            this.show();
-
-            // Subscribe to the PropertiesChanged signal first
-            this._signalSubscriptionId = Gio.DBus.session.signal_subscribe(
-                SPOTIFY_BUS_NAME,
-                PROPERTIES_INTERFACE,
-                'PropertiesChanged',
-                SPOTIFY_OBJECT_PATH,
-                null,
-                Gio.DBusSignalFlags.NONE,
-                this._onPropertiesChanged.bind(this)
-            );
-
-            // Fetch the initial PlaybackStatus and Metadata from Spotify after subscribing
-            try {
-                let playbackStatus = await this._getPlaybackStatus();
-                this._updatePlayPauseIcon(playbackStatus);
-                await this._retryFetchMetadata();
-            } catch (e) {
-                logError(e, 'Failed to get initial PlaybackStatus or Metadata');
+        _onPlayerAppeared(player) {
+            // Bookkeeping of the indicator, kept on the player itself
+            player.lastActive = 0;
+            player.mutedVolume = null;
+            player.play = null;
+            this._players.set(player.busName, player);
+
+            // The watcher disconnects these when the player is destroyed
+            player.connect('playback-status-changed', () => this._onPlaybackStatusChanged(player));
+            player.connect('metadata-changed', (p, track, previousTrack) => this._onTrackChanged(player, previousTrack));
+            player.connect('volume-changed', () => this._onVolumeChanged(player));
+            player.connect('seeked', () => this._onSeeked(player));
+            player.connect('capabilities-changed', () => this._onCapabilitiesChanged(player));
+
+            if (player.track.title) {
+                this._startPlay(player, player.track);
+            }
+            this._onPlaybackStatusChanged(player);
+
+            // Spotify may have quit during a muted ad
+            this._updateAdMute(player);
+
+            // Spotify was launched to open a bookmark or a link
+            if (player.isSpotify && this._pendingUri) {
+                this._openUri(this._pendingUri, player).catch(() => {});
+                this._pendingUri = null;
+                if (this._pendingUriTimeoutId) {
+                    this._removeTimeout(this._pendingUriTimeoutId);
+                    this._pendingUriTimeoutId = null;
+                }
             }
         }
 
         /**
-         * Retry fetching Metadata with specified retries and delay.
-         * @param {number} retries - Number of retry attempts.
-         * @param {number} delay - Delay between retries in milliseconds.
+         * Callback function when an MPRIS player vanishes from the D-Bus.
+         * Stops tracking it.
+         * @param {MprisPlayer} player - The player.
          */
-        async _retryFetchMetadata(retries = 3, delay = 500) {
-            for (let i = 0; i < retries; i++) {
-                try {
-                    let metadata = await this._getMetadata();
-                    if (metadata['xesam:artist'] && metadata['xesam:title']) {
-                        this._updateTrackInfo(metadata);
-                        logDebug('Successfully fetched valid Metadata on retry');
-                        return;
-                    }
-                } catch (e) {
-                    logError(e, 'Retry fetching Metadata failed');
-                }
+        _onPlayerVanished(player) {
+            if (this._players.get(player.busName) !== player) {
+                return;
+            }
 
-                // Await the cancellable sleep
-                await this._sleep(delay);
+            this._finishPlay(player);
+            this._players.delete(player.busName);
+            if (this._autoPausedPlayer === player) {
+                this._autoPausedPlayer = null;
             }
-            logDebug('Failed to fetch valid Metadata after retries');
+            if (this._interruptedPlayer === player) {
+                this._cancelInterruption();
+            } else if (!player.isSpotify) {
+                this._scheduleInterruptionResume();
+            }
+            if (this._sleepTimer && this._sleepTimer.player === player) {
+                // There is no volume left to restore
+                this._sleepTimer.volume = null;
+                this._cancelSleepTimer();
+            }
+
+            this._updateActivePlayer();
         }
 
         /**
-         * Sleeps for the specified delay in milliseconds.
-         * The timeout is tracked and can be cleared upon destruction.
-         * @param {number} delay - The delay in milliseconds.
-         * @returns {Promise<void>} - A Promise that resolves after the delay.
+         * Picks the player the panel should follow, according to 'player-selection-mode':
+         * - 'fixed': the player named by 'preferred-player' (e.g. 'spotify')
+         * - 'last-active': the player that most recently started playing or changed track
+         * - 'playing': a player that is currently playing, else the one already followed
+         * @returns {MprisPlayer|null} - The player, or null if no player qualifies.
          */
-        _sleep(delay) {
-            return new Promise((resolve) => {
-                const timeoutID = setTimeout(() => {
-                    resolve();
-                    // Remove the timeoutID from activeTimeouts once resolved
-                    const index = this._activeTimeouts.indexOf(timeoutID);
-                    if (index > -1) {
-                        this._activeTimeouts.splice(index, 1);
+        _selectPlayer() {
+            let players = [...this._players.values()];
+            let byLastActive = (a, b) => b.lastActive - a.lastActive;
+
+            switch (this._settings.get_string('player-selection-mode')) {
+                case 'last-active':
+                    return players.sort(byLastActive)[0] ?? null;
+                case 'playing': {
+                    let playing = players.filter(p => p.playbackStatus === 'Playing').sort(byLastActive);
+                    if (playing.length > 0) {
+                        return playing[0];
                     }
-                }, delay);
-                this._activeTimeouts.push(timeoutID);
-            });
+                    if (this._activePlayer && this._players.has(this._activePlayer.busName)) {
+                        return this._activePlayer;
+                    }
+                    return players.sort(byLastActive)[0] ?? null;
+                }
+                case 'fixed':
+                default: {
+                    let preferred = MPRIS_BUS_NAME_PREFIX + this._settings.get_string('preferred-player');
+                    // Also match per-instance names such as org.mpris.MediaPlayer2.vlc.instance1234
+                    return players.find(p => p.busName === preferred) ??
+                        players.find(p => p.busName.startsWith(`${preferred}.`)) ??
+                        null;
+                }
+            }
         }
 
         /**
-         * Handler for the PropertiesChanged signal from Spotify.
-         * Updates the UI elements based on the changed properties.
-         * @param {Gio.DBusConnection} connection - The D-Bus connection.
-         * @param {string} sender - The sender's bus name.
-         * @param {string} objectPath - The object path of the signal.
-         * @param {string} interfaceName - The interface name of the signal.
-         * @param {string} signalName - The name of the signal.
-         * @param {GLib.Variant} parameters - The parameters of the signal.
+         * Re-evaluates which player the panel follows and refreshes the UI if it changed.
+         * The indicator is only shown while there is a player to follow.
          */
-        _onPropertiesChanged(connection, sender, objectPath, interfaceName, signalName, parameters) {
-            let [iface, changedProps, invalidatedProps] = parameters.deep_unpack();
+        _updateActivePlayer() {
+            let player = this._selectPlayer();
+            if (player === this._activePlayer) {
+                return;
+            }
 
-            // Check if the signal is from the MPRIS Player Interface
-            if (iface === MPRIS_PLAYER_INTERFACE) {
-                // If PlaybackStatus has changed, update the Play/Pause button icon
-                if (changedProps.PlaybackStatus) {
-                    let playbackStatus = changedProps.PlaybackStatus.deep_unpack();
-                    this._updatePlayPauseIcon(playbackStatus);
-                    logDebug(`PlaybackStatus changed to ${playbackStatus}`);
-                }
+            this._activePlayer = player;
+            logDebug(`Following player: ${player ? player.busName : 'none'}`);
 
-                // If Metadata has changed, update the track information label
-                if (changedProps.Metadata) {
-                    let metadataVariant = changedProps.Metadata.deep_unpack();
+            this._updatePositionDisplay();
+            this._updatePositionPolling();
+            this._updateVolumeDisplay();
 
-                    // Convert the metadata Variant into a plain JavaScript object
-                    let metadata = {};
-                    for (let key in metadataVariant) {
-                        metadata[key] = metadataVariant[key].deep_unpack();
-                    }
+            if (!player) {
+                this._loadLyrics(null);
+                this.hide();
+                this._syncQuickSettings();
+                return;
+            }
 
-                    logDebug(`PropertiesChanged Metadata: ${JSON.stringify(metadata)}`);
-                    this._updateTrackInfo(metadata);
-                }
+            this._updatePlayerIcon(player);
+            this._updatePlayPauseIcon(player.playbackStatus);
+            this._updateControlsSensitivity();
+            if (player.track.title) {
+                this._updateTrackInfo(player.track);
+            } else {
+                this.trackLabel.text = _('No Track Playing');
+                this._updateMenu(null);
+                this._updateCoverArt(null);
+                this._loadLyrics(null);
             }
+            this.show();
         }
 
         /**
-         * Retrieves the current PlaybackStatus from Spotify using D-Bus.
-         * @returns {Promise<string>} - A promise that resolves to the playback status.
+         * Shows the Spotify logo for Spotify and a generic icon for other players.
+         * @param {MprisPlayer} player - The followed player.
          */
-        async _getPlaybackStatus() {
-            return new Promise((resolve, reject) => {
-                Gio.DBus.session.call(
-                    SPOTIFY_BUS_NAME,
-                    SPOTIFY_OBJECT_PATH,
-                    PROPERTIES_INTERFACE,
-                    'Get',
-                    new GLib.Variant('(ss)', [MPRIS_PLAYER_INTERFACE, 'PlaybackStatus']), // Parameters for the method
-                    GLib.VariantType.new('(v)'), // Expected return type
-                    Gio.DBusCallFlags.NONE,
-                    -1,
-                    null,
-                    (connection, result) => {
-                        try {
-                            let response = connection.call_finish(result);
-                            let [playbackStatusVariant] = response.deep_unpack();
-                            let playbackStatus = playbackStatusVariant.deep_unpack();
-                            logDebug(`Fetched PlaybackStatus: ${playbackStatus}`);
-                            resolve(playbackStatus);
-                        } catch (e) {
-                            logError(e, 'Failed to fetch PlaybackStatus');
-                            reject(e);
-                        }
-                    }
-                );
-            });
+        _updatePlayerIcon(player) {
+            if (!this.spotifyIcon) {
+                return;
+            }
+
+            this.spotifyIcon.gicon = player.isSpotify
+                ? Gio.icon_new_for_string(`${this.extensionPath}/icons/spotify.svg`)
+                : Gio.ThemedIcon.new(GENERIC_PLAYER_ICON);
         }
 
         /**
-         * Retrieves the current Metadata from Spotify using D-Bus.
-         * @returns {Promise<Object>} - A promise that resolves to the metadata object.
+         * Callback function when a player's PlaybackStatus changes.
+         * Updates the UI if the panel follows it.
+         * @param {MprisPlayer} player - The player whose status changed.
          */
-        async _getMetadata() {
-            return new Promise((resolve, reject) => {
-                Gio.DBus.session.call(
-                    SPOTIFY_BUS_NAME,
-                    SPOTIFY_OBJECT_PATH,
-                    PROPERTIES_INTERFACE,
-                    'Get',
-                    new GLib.Variant('(ss)', [MPRIS_PLAYER_INTERFACE, 'Metadata']),
-                    GLib.VariantType.new('(v)'),
-                    Gio.DBusCallFlags.NONE,
-                    -1,
-                    null,
-                    (connection, result) => {
-                        try {
-                            let response = connection.call_finish(result);
-                            let [metadataVariant] = response.deep_unpack();
-                            let metadata = metadataVariant.deep_unpack();
-
-                            let metadataUnpacked = {};
-                            for (let key in metadata) {
-                                metadataUnpacked[key] = metadata[key].deep_unpack();
-                            }
+        _onPlaybackStatusChanged(player) {
+            let playbackStatus = player.playbackStatus;
+            if (playbackStatus === 'Playing') {
+                player.lastActive = Date.now();
+                // Playback was resumed by other means, so there's nothing left to resume
+                if (player === this._autoPausedPlayer) {
+                    this._autoPausedPlayer = null;
+                }
+                if (player === this._interruptedPlayer) {
+                    this._cancelInterruption();
+                }
+                if (player.play && player.play.playingSince === null) {
+                    player.play.playingSince = GLib.get_monotonic_time();
+                }
+            } else {
+                this._pausePlay(player);
+            }
 
-                            logDebug(`Fetched Metadata: ${JSON.stringify(metadataUnpacked)}`);
-                            resolve(metadataUnpacked);
-                        } catch (e) {
-                            logError(e, 'Failed to fetch Metadata');
-                            reject(e);
-                        }
-                    }
-                );
-            });
+            if (player === this._activePlayer) {
+                this._updatePlayPauseIcon(playbackStatus);
+                this._updateControlsSensitivity();
+                this._refreshPosition(player);
+            }
+            if (!player.isSpotify) {
+                this._onOtherPlayerStatusChanged(player);
+            }
+            this._updateActivePlayer();
+            this._updatePositionPolling();
         }
 
         /**
-         * Updates the track information label with the current artist and song title.
-         * @param {Object} metadata - The metadata object containing track information.
+         * Callback function when a player's Metadata changes.
+         * Updates the UI if the panel follows it.
+         * @param {MprisPlayer} player - The player whose metadata changed.
+         * @param {Object} previousTrack - The track before the change.
          */
-        _updateTrackInfo(metadata) {
-            let artistArray = this._recursiveUnpack(metadata['xesam:artist']);
-            let title = this._recursiveUnpack(metadata['xesam:title']);
+        _onTrackChanged(player, previousTrack) {
+            let track = player.track;
+            this._updateAdMute(player);
+
+            // A track change counts as activity
+            let trackChanged = track.trackId !== previousTrack.trackId;
+            if (trackChanged) {
+                player.lastActive = Date.now();
+                this._finishPlay(player);
+                this._startPlay(player, track);
+
+                // The track ended or was skipped before the end-of-track timer fired
+                if (this._sleepTimer && this._sleepTimer.endOfTrack && this._sleepTimer.player === player) {
+                    this._onSleepTimerFired();
+                }
+            }
 
-            let artist = _('Unknown Artist');
-            if (Array.isArray(artistArray) && artistArray.length > 0 && artistArray[0].trim() !== '') {
-                artist = artistArray[0];
-            } else {
-                // Possibly a podcast
-
-                // Podcasts have a trackid of /com/spotify/episode and seem to put the
-                // podcast name in the album property
-                let trackid = this._recursiveUnpack(metadata['mpris:trackid']);
-                if (trackid && trackid.startsWith('/com/spotify/episode')) {
-                    let album = this._recursiveUnpack(metadata['xesam:album']);
-                    if (album && album.trim() !== '') {
-                        artist = album;
-                    }
+            if (player === this._activePlayer) {
+                this._updateTrackInfo(track);
+                if (trackChanged) {
+                    this._refreshPosition(player);
+                    this._notifyTrackChange(player, track);
                 }
+                this._updatePositionDisplay();
             }
+            this._updateActivePlayer();
+            this._updatePositionPolling();
+        }
 
-            if (title && title.trim() !== '') {
-                // Valid title
-            } else {
-                title = _('Unknown Title');
+        /**
+         * Shows a desktop notification for a new track, if 'notify-track-change' is enabled.
+         * Honors 'notify-only-unfocused', 'notify-replace' and 'notify-suppress-duplicates'.
+         * Nothing is shown on the lock screen, where the Next/Pause actions shouldn't be reachable.
+         * @param {MprisPlayer} player - The player that changed track.
+         * @param {Object} track - The new track.
+         */
+        async _notifyTrackChange(player, track) {
+            if (!this._settings.get_boolean('notify-track-change') || this._locked) {
+                return;
+            }
+
+            if (this._settings.get_boolean('notify-only-unfocused') && this._isPlayerFocused(player)) {
+                logDebug('Player is focused; not notifying');
+                return;
+            }
+
+            let title = track.title;
+            if (!title || track.isAd) {
+                return;
+            }
+
+            let artists = track.artists.join(', ');
+            let album = track.album ?? '';
+
+            // Spotify sometimes re-sends the same track under a new trackid
+            let trackKey = JSON.stringify([title, artists, album]);
+            if (this._settings.get_boolean('notify-suppress-duplicates') && trackKey === this._lastNotifiedTrack) {
+                logDebug('Identical track metadata; not notifying');
+                return;
+            }
+            this._lastNotifiedTrack = trackKey;
+
+            let gicon = await this._artCache?.getIcon(track.artUrl);
+
+            // Skip if the track changed again, the screen got locked or the indicator was destroyed while loading the cover
+            if (!this._trackNotifier || this._locked || player.track.trackId !== track.trackId) {
+                return;
             }
 
-            this.trackLabel.text = `${artist} - ${title}`;
-            logDebug(`Updated track info: ${artist} - ${title}`);
+            this._trackNotifier.show({
+                title,
+                body: artists,
+                gicon: gicon ?? null,
+                replace: this._settings.get_boolean('notify-replace'),
+                actions: [
+                    { label: _('Next'), callback: () => this._sendMPRISCommand('Next', player).catch(() => {}) },
+                    { label: _('Pause'), callback: () => this._sendMPRISCommand('Pause', player).catch(() => {}) },
+                ],
+            });
         }
 
         /**
-         * Recursively unpacks a GLib.Variant if necessary.
-         * @param {any} variant - The value to unpack.
-         * @returns {any} - The unpacked value.
+         * Checks whether the focused window belongs to the given player,
+         * by comparing its WM_CLASS with the player's bus name (e.g. 'spotify').
+         * @param {MprisPlayer} player - The player.
+         * @returns {boolean} - True if the player's window has focus.
          */
-        _recursiveUnpack(variant) {
-            if (variant instanceof GLib.Variant) {
-                return variant.deep_unpack(); // Unpack the Variant to get the raw value
-            } else {
-                return variant; // Return the value as-is if it's not a Variant
+        _isPlayerFocused(player) {
+            let window = global.display.focus_window;
+            if (!window) {
+                return false;
             }
+
+            let wmClass = (window.get_wm_class() || '').toLowerCase();
+            let playerName = player.name.split('.')[0].toLowerCase();
+            return wmClass !== '' && wmClass.includes(playerName);
         }
 
         /**
-         * Updates the Play/Pause button icon based on the current playback status.
+         * Starts timing a new track for the listening history.
+         * @param {MprisPlayer} player - The player that started the track.
+         * @param {Object} track - The track.
+         */
+        _startPlay(player, track) {
+            player.play = {
+                track,
+                startedAt: Date.now(),
+                playedTime: 0,
+                playingSince: player.playbackStatus === 'Playing' ? GLib.get_monotonic_time() : null,
+            };
+        }
+
+        /**
+         * Adds the time since playback last resumed to the current track's play time.
+         * @param {MprisPlayer} player - The player.
+         */
+        _pausePlay(player) {
+            if (player.play && player.play.playingSince !== null) {
+                player.play.playedTime += GLib.get_monotonic_time() - player.play.playingSince;
+                player.play.playingSince = null;
+            }
+        }
+
+        /**
+         * Ends the current track's play: records it in the listening history
+         * and scrobbles it if it was played long enough.
+         * @param {MprisPlayer} player - The player.
+         */
+        _finishPlay(player) {
+            let play = player.play;
+            if (!play) {
+                return;
+            }
+            this._pausePlay(player);
+            player.play = null;
+
+            let { title, artists, album, trackId, url, artUrl, length, isAd } = play.track;
+            if (!title || isAd) {
+                return;
+            }
+
+            if (this._history && this._settings.get_boolean('history-enabled')) {
+                this._history.add({
+                    timestamp: new Date(play.startedAt).toISOString(),
+                    player: player.name,
+                    trackid: trackId,
+                    url,
+                    arturl: artUrl,
+                    title,
+                    artists,
+                    album,
+                    length: Math.round(length / 1000000),
+                    played: Math.round(play.playedTime / 1000000),
+                    skipped: length > 0 && play.playedTime < length * SKIP_THRESHOLD,
+                });
+            }
+
+            if (this._scrobbler && isScrobbleable(play.playedTime, length)) {
+                this._scrobbler.submit({
+                    listenedAt: Math.floor(play.startedAt / 1000),
+                    title,
+                    artists,
+                    album,
+                    length: Math.round(length / 1000000),
+                    uri: trackIdToUri(trackId),
+                    url,
+                });
+            }
+        }
+
+        /**
+         * Rebuilds the "Recently Played" submenu from the last 'history-menu-size' entries.
+         */
+        _updateHistoryMenu() {
+            if (!this.historySubMenu || !this._history) {
+                return;
+            }
+
+            this.historySubMenu.menu.removeAll();
+
+            let count = this._settings.get_int('history-menu-size');
+            let entries = this._history.entries.slice(-count).reverse();
+
+            for (let entry of entries) {
+                let artists = (entry.artists ?? []).join(', ');
+                let item = new PopupMenu.PopupMenuItem(artists ? `${artists} - ${entry.title}` : entry.title);
+                item.connect('activate', () => this._replayHistoryEntry(entry));
+                this.historySubMenu.menu.addMenuItem(item);
+            }
+
+            this.historySubMenu.visible = this._settings.get_boolean('history-enabled') && entries.length > 0;
+            this.historySeparator.visible = this.historySubMenu.visible;
+        }
+
+        /**
+         * Rebuilds the "Bookmarks" submenu from the 'bookmarks' setting.
+         */
+        _updateBookmarksMenu() {
+            this.bookmarksSubMenu.menu.removeAll();
+
+            let bookmarks = getBookmarks(this._settings);
+            for (let bookmark of bookmarks) {
+                let item = new PopupMenu.PopupMenuItem(bookmark.name);
+                item.connect('activate', () => this._playSpotifyUri(bookmark.uri));
+                this.bookmarksSubMenu.menu.addMenuItem(item);
+            }
+            if (bookmarks.length > 0) {
+                this.bookmarksSubMenu.menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
+            }
+
+            this.bookmarkCurrentItem = new PopupMenu.PopupMenuItem(_('Bookmark Current Track'));
+            this.bookmarkCurrentItem.connect('activate', () => this._bookmarkCurrentTrack());
+            this.bookmarksSubMenu.menu.addMenuItem(this.bookmarkCurrentItem);
+            this._updateBookmarkCurrentItem();
+
+            let playClipboardItem = new PopupMenu.PopupMenuItem(_('Play Link from Clipboard'));
+            playClipboardItem.connect('activate', () => this._playClipboardLink());
+            this.bookmarksSubMenu.menu.addMenuItem(playClipboardItem);
+        }
+
+        /**
+         * Returns the spotify: URI of the followed player's current track, if it can be bookmarked.
+         * MPRIS doesn't tell which playlist or album is being played, so the track is the most
+         * specific item that can be captured.
+         * @returns {string|null} - The URI, or null if nothing bookmarkable is playing.
+         */
+        _getCurrentBookmarkUri() {
+            let track = this._activePlayer?.track;
+            if (!track?.title || track.isAd) {
+                return null;
+            }
+            return trackIdToUri(track.trackId);
+        }
+
+        /**
+         * Makes "Bookmark Current Track" sensitive only while there is a track that isn't bookmarked yet.
+         */
+        _updateBookmarkCurrentItem() {
+            if (!this.bookmarkCurrentItem) {
+                return;
+            }
+
+            let uri = this._getCurrentBookmarkUri();
+            this.bookmarkCurrentItem.sensitive = uri !== null && !getBookmarks(this._settings).some(bookmark => bookmark.uri === uri);
+        }
+
+        /**
+         * Saves the followed player's current track as a bookmark, named like the history menu items.
+         */
+        _bookmarkCurrentTrack() {
+            let uri = this._getCurrentBookmarkUri();
+            if (!uri) {
+                return;
+            }
+
+            let track = this._activePlayer.track;
+            let artists = track.artists.join(', ');
+            let name = artists ? `${artists} - ${track.title}` : track.title;
+            if (addBookmarks(this._settings, [{ name, uri }]) > 0) {
+                logDebug(`Bookmarked ${uri} as '${name}'`);
+            }
+        }
+
+        /**
+         * Plays a spotify: URI through OpenUri on Spotify. If Spotify isn't running, it is
+         * launched and the URI opened once it appears on the bus, see _onPlayerAppeared.
+         * @param {string} uri - The URI, e.g. a bookmark's.
+         */
+        _playSpotifyUri(uri) {
+            let spotify = [...this._players.values()].find(player => player.isSpotify);
+            if (spotify) {
+                this._openUri(uri, spotify).catch(() => {});
+                return;
+            }
+
+            logDebug(`Spotify isn't running; launching it to open ${uri}`);
+            this._pendingUri = uri;
+            if (this._pendingUriTimeoutId) {
+                this._removeTimeout(this._pendingUriTimeoutId);
+            }
+            // Forget the URI if Spotify doesn't show up, so it doesn't start playing much later
+            this._pendingUriTimeoutId = this._addTimeout(() => {
+                this._pendingUriTimeoutId = null;
+                this._pendingUri = null;
+            }, PENDING_URI_TIMEOUT);
+
+            this._launchSpotify();
+        }
+
+        /**
+         * Plays an open.spotify.com link or a spotify: URI, or shows an error notification
+         * if the text isn't a link to a track, album, playlist, episode or show.
+         * @param {string} text - The link, e.g. from the clipboard or a drop.
+         */
+        _playLink(text) {
+            if (this._locked) {
+                return;
+            }
+
+            let uri = linkToUri(text);
+            if (!uri) {
+                logDebug(`Not a playable Spotify link: ${text}`);
+                this._trackNotifier.show({
+                    title: _('Can\'t Play This Link'),
+                    body: _('Only open.spotify.com links and spotify: URIs of tracks, albums, playlists, episodes and shows can be played.'),
+                    gicon: Gio.ThemedIcon.new('dialog-error-symbolic'),
+                    replace: false,
+                });
+                return;
+            }
+
+            logDebug(`Playing link ${uri}`);
+            this._playSpotifyUri(uri);
+        }
+
+        /**
+         * Plays the Spotify link on the clipboard, see _playLink.
+         */
+        _playClipboardLink() {
+            St.Clipboard.get_default().get_text(St.ClipboardType.CLIPBOARD, (clipboard, text) => {
+                // The indicator may have been destroyed meanwhile
+                if (this._trackNotifier) {
+                    this._playLink(text ?? '');
+                }
+            });
+        }
+
+        /**
+         * Starts following a drag from an application. GNOME Shell reports those through
+         * Main.xdndHandler, but doesn't deliver their drop, so a drag monitor notes when
+         * the drag passes over the track info and _onDragEnd checks where it ended.
+         */
+        _onDragBegin() {
+            this._cancelDrag();
+            this._dragCancellable = new Gio.Cancellable();
+            this._dragText = null;
+            this._dragMonitor = {
+                dragMotion: this._onDragMotion.bind(this),
+            };
+            DND.addDragMonitor(this._dragMonitor);
+        }
+
+        /**
+         * Drag monitor: reads the dragged text the first time an application drag
+         * passes over the track info, while its data can still be asked for.
+         * @param {Object} dragEvent - The drag event.
+         * @returns {DND.DragMotionResult} - Always CONTINUE, the drag itself is left alone.
+         */
+        _onDragMotion(dragEvent) {
+            if (dragEvent.source === Main.xdndHandler && !this._dragText &&
+                this.trackButton.contains(dragEvent.targetActor)) {
+                this._dragText = this._readDragText(this._dragCancellable).catch(e => {
+                    if (!e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) {
+                        logError(e, 'Failed to read the dragged link');
+                    }
+                    return null;
+                });
+            }
+            return DND.DragMotionResult.CONTINUE;
+        }
+
+        /**
+         * Plays the dragged link if the drag ended on the track info, see _playLink.
+         */
+        _onDragEnd() {
+            let dragText = this._dragText;
+            let [x, y] = global.get_pointer();
+            let droppedOnTrack = dragText && this.trackButton.mapped &&
+                this.trackButton.contains(global.stage.get_actor_at_pos(Clutter.PickMode.REACTIVE, x, y));
+
+            if (!droppedOnTrack) {
+                this._cancelDrag();
+                return;
+            }
+
+            // Keep the read going, the text may still be on its way
+            this._removeDragMonitor();
+            this._dragText = null;
+            dragText.then(text => {
+                // The indicator may have been destroyed meanwhile
+                if (text && this._trackNotifier) {
+                    this._playLink(text);
+                }
+            });
+        }
+
+        /**
+         * Reads the link carried by the current drag from the compositor's drag-and-drop
+         * selection, preferring text/uri-list over plain text.
+         * @param {Gio.Cancellable} cancellable - Cancels the read.
+         * @returns {Promise<string|null>} - The first link or line of text, or null if
+         *     the drag carries no text.
+         */
+        async _readDragText(cancellable) {
+            let selection = global.display.get_selection();
+            let mimeTypes = selection.get_mimetypes(Meta.SelectionType.SELECTION_DND);
+            let mimeType = DRAG_LINK_MIME_TYPES.find(type => mimeTypes.includes(type));
+            if (!mimeType) {
+                return null;
+            }
+
+            let stream = Gio.MemoryOutputStream.new_resizable();
+            await new Promise((resolve, reject) => {
+                selection.transfer_async(Meta.SelectionType.SELECTION_DND, mimeType, -1, stream, cancellable, (source, result) => {
+                    try {
+                        resolve(source.transfer_finish(result));
+                    } catch (e) {
+                        reject(e);
+                    }
+                });
+            });
+            // Closing a memory stream does no I/O; it is needed before stealing its contents
+            stream.close(null);
+
+            // text/uri-list holds one URI per line, with comments starting with '#'
+            let text = new TextDecoder().decode(stream.steal_as_bytes().toArray());
+            return text.split(/\r?\n/).map(line => line.trim()).find(line => line && !line.startsWith('#')) ?? null;
+        }
+
+        /**
+         * Stops following the current application drag and cancels reading its text.
+         */
+        _cancelDrag() {
+            this._removeDragMonitor();
+            this._dragCancellable?.cancel();
+            this._dragCancellable = null;
+            this._dragText = null;
+        }
+
+        /**
+         * Removes the drag monitor added by _onDragBegin, if any.
+         */
+        _removeDragMonitor() {
+            if (this._dragMonitor) {
+                DND.removeDragMonitor(this._dragMonitor);
+                this._dragMonitor = null;
+            }
+        }
+
+        /**
+         * Adds or removes the Quick Settings toggle, following 'position'. With the
+         * 'quick-settings' placement the extension takes the indicator out of the top bar,
+         * and the toggle shows the same player, see SpotifyMenuToggle.sync.
+         */
+        _updatePlacement() {
+            let inQuickSettings = this._settings.get_string('position') === 'quick-settings';
+
+            if (inQuickSettings && !this._quickSettings) {
+                this._quickSettings = new SpotifyQuickSettings(this);
+                this._updateControlsSensitivity();
+                logDebug('Added to Quick Settings');
+            } else if (!inQuickSettings && this._quickSettings) {
+                this._quickSettings.destroy();
+                this._quickSettings = null;
+                logDebug('Removed from Quick Settings');
+            }
+        }
+
+        /**
+         * Updates the Quick Settings toggle, if there is one, from the followed player.
+         */
+        _syncQuickSettings() {
+            this._quickSettings?.toggle.sync();
+        }
+
+        /**
+         * Registers or removes the overview search provider, following 'search-provider'.
+         */
+        _updateSearchProvider() {
+            if (!this._settings.get_boolean('search-provider')) {
+                this._removeSearchProvider();
+                return;
+            }
+            if (this._searchProvider) {
+                return;
+            }
+
+            this._searchProvider = new SpotifySearchProvider(this);
+            Main.overview.searchController.addProvider(this._searchProvider);
+            logDebug('Search provider registered');
+        }
+
+        /**
+         * Removes the overview search provider, if it is registered.
+         */
+        _removeSearchProvider() {
+            if (!this._searchProvider) {
+                return;
+            }
+
+            Main.overview.searchController.removeProvider(this._searchProvider);
+            this._searchProvider.destroy();
+            this._searchProvider = null;
+            logDebug('Search provider removed');
+        }
+
+        /**
+         * Plays a history entry again through OpenUri, on the player that played it
+         * if it is still running, else on the followed player.
+         * @param {Object} entry - The history entry.
+         */
+        _replayHistoryEntry(entry) {
+            let player = this._players.get(MPRIS_BUS_NAME_PREFIX + entry.player) ?? this._activePlayer;
+            let uri = trackIdToUri(entry.trackid) ?? entry.url;
+            if (!uri) {
+                logDebug(`History entry '${entry.title}' has no URI to replay`);
+                return;
+            }
+            this._openUri(uri, player).catch(() => {});
+        }
+
+        /**
+         * Asks a player to open and play a URI.
+         * @param {string} uri - The URI, e.g. 'spotify:track:…'.
+         * @param {MprisPlayer} [player] - The target player; defaults to the followed player.
+         * @returns {Promise<void>} - A promise that resolves when the command is sent successfully.
+         */
+        _openUri(uri, player = this._activePlayer) {
+            if (!player) {
+                return Promise.reject(new Error(`No player to open ${uri} in`));
+            }
+
+            logDebug(`Opening ${uri} in ${player.busName}`);
+            return player.openUri(uri).catch(e => {
+                logError(e, `Failed to open ${uri}`);
+                throw e;
+            });
+        }
+
+        /**
+         * Updates the track information label, the now-playing menu, the album art and the lyrics.
+         * @param {Object} track - The track.
+         */
+        _updateTrackInfo(track) {
+            this._updateTrackLabel(track);
+            this._updateMenu(track);
+            this._updateCoverArt(track);
+            this._loadLyrics(track);
+        }
+
+        /**
+         * Returns the label template for the given track: 'podcast-label-format'
+         * for podcast episodes, 'label-format' for everything else.
+         * @param {Object} track - The track.
+         * @returns {string} - The template string.
+         */
+        _getLabelTemplate(track) {
+            return this._settings.get_string(track.isPodcast ? 'podcast-label-format' : 'label-format');
+        }
+
+        /**
+         * Renders the track label from the label template.
+         * @param {Object} track - The track.
+         */
+        _updateTrackLabel(track) {
+            if (track.isAd) {
+                this.trackLabel.text = this._settings.get_string('ad-label');
+                return;
+            }
+
+            let { album, trackNumber, length } = track;
+            let artists = track.artists;
+
+            let artist = _('Unknown Artist');
+            if (artists.length > 0) {
+                artist = artists[0];
+            } else if (track.isPodcast && album) {
+                // Podcasts seem to put the podcast name in the album property
+                artist = album;
+                artists = [album];
+            }
+
+            let title = track.title ?? _('Unknown Title');
+
+            // In lyrics mode the current lyric line replaces the label while there is one
+            let lyricLine = this._getPanelLyricLine();
+            if (lyricLine !== null) {
+                this.trackLabel.text = lyricLine;
+                return;
+            }
+
+            let position = this._activePlayer ? this._activePlayer.position : 0;
+            this.trackLabel.text = formatLabel(this._getLabelTemplate(track), {
+                artist,
+                artists: artists.join(', '),
+                title,
+                album,
+                track: trackNumber > 0 ? trackNumber : null,
+                position: length > 0 ? formatTime(position) : null,
+                length: length > 0 ? formatTime(length) : null,
+            });
+            logDebug(`Updated track info: ${this.trackLabel.text}`);
+        }
+
+        /**
+         * Callback function when 'label-format' or 'podcast-label-format' changes.
+         * Re-renders the label of the current track.
+         */
+        _onLabelFormatChanged() {
+            if (this._activePlayer && this._activePlayer.track.title) {
+                this._updateTrackLabel(this._activePlayer.track);
+            }
+            this._updatePositionPolling();
+        }
+
+        /**
+         * Updates the now-playing menu with the title, every artist, album
+         * and track number. Missing fields are hidden. The cover is set by _updateCoverArt.
+         * @param {Object|null} track - The track, or null if there is none.
+         */
+        _updateMenu(track) {
+            if (!this.menuTitleLabel) {
+                return;
+            }
+
+            let title = track?.title;
+            let album = track?.album;
+            let trackNumber = track?.trackNumber ?? 0;
+            let artists = track ? track.artists.join(', ') : '';
+
+            // Ads have little useful metadata
+            if (track?.isAd) {
+                title = this._settings.get_string('ad-label');
+                album = null;
+                trackNumber = 0;
+                artists = '';
+            }
+
+            this.menuTitleLabel.text = title ?? _('No Track Playing');
+
+            this.menuArtistLabel.text = artists;
+            this.menuArtistLabel.visible = artists !== '';
+
+            this.menuAlbumLabel.text = album ?? '';
+            this.menuAlbumLabel.visible = !!album;
+
+            this.menuTrackNumberLabel.text = trackNumber > 0 ? _('Track %d').format(trackNumber) : '';
+            this.menuTrackNumberLabel.visible = trackNumber > 0;
+
+            this._updateBookmarkCurrentItem();
+
+            let canShare = !!track?.title && !track.isAd;
+            this.shareSeparator.visible = canShare;
+            this.shareSubMenu.visible = canShare;
+            this.copyLinkItem.visible = canShare && this._getShareText(track, 'link') !== null;
+            this.copyUriItem.visible = canShare && this._getShareText(track, 'uri') !== null;
+
+            this._syncQuickSettings();
+        }
+
+        /**
+         * Returns what copying a track puts on the clipboard.
+         * @param {Object} track - The track.
+         * @param {string} format - 'link' for the open.spotify.com link (or the xesam:url of
+         *     other players), 'uri' for the spotify: URI, 'text' for the 'copy-format' template.
+         * @returns {string|null} - The text, or null if the track has no such link or URI.
+         */
+        _getShareText(track, format) {
+            let uri = trackIdToUri(track.trackId);
+
+            switch (format) {
+                case 'link':
+                    if (uri) {
+                        return uriToUrl(uri);
+                    }
+                    return /^https?:\/\//.test(track.url ?? '') ? track.url : null;
+                case 'uri':
+                    return uri;
+                default: {
+                    // Podcasts seem to put the podcast name in the album property
+                    let artists = track.artists;
+                    if (artists.length === 0 && track.isPodcast && track.album) {
+                        artists = [track.album];
+                    }
+                    return formatLabel(this._settings.get_string('copy-format'), {
+                        artist: artists[0] ?? null,
+                        artists: artists.join(', '),
+                        title: track.title,
+                        album: track.album,
+                        track: track.trackNumber > 0 ? track.trackNumber : null,
+                        position: null,
+                        length: track.length > 0 ? formatTime(track.length) : null,
+                    });
+                }
+            }
+        }
+
+        /**
+         * Copies the followed player's current track to the clipboard and confirms it with an OSD.
+         * @param {string} format - 'link', 'uri' or 'text', see _getShareText.
+         */
+        _copyTrack(format) {
+            if (this._locked) {
+                return;
+            }
+
+            let track = this._activePlayer?.track;
+            if (!track?.title || track.isAd) {
+                logDebug('No track to copy');
+                return;
+            }
+
+            let text = this._getShareText(track, format);
+            if (!text) {
+                logDebug(`The current track has no ${format} to copy`);
+                return;
+            }
+
+            St.Clipboard.get_default().set_text(St.ClipboardType.CLIPBOARD, text);
+            logDebug(`Copied to clipboard: ${text}`);
+
+            let labels = {
+                link: _('Link Copied'),
+                uri: _('Spotify URI Copied'),
+                text: _('Track Copied'),
+            };
+            let icon = Gio.ThemedIcon.new('edit-copy-symbolic');
+
+            // GNOME 46 replaced show() with showAll() and showOne()
+            if (Main.osdWindowManager.showAll) {
+                Main.osdWindowManager.showAll(icon, labels[format] ?? labels.text);
+            } else {
+                Main.osdWindowManager.show(-1, icon, labels[format] ?? labels.text);
+            }
+        }
+
+        /**
+         * Callback function when a player seeked.
+         * Resyncs the display after a jump that PropertiesChanged doesn't report.
+         * @param {MprisPlayer} player - The player that seeked.
+         */
+        _onSeeked(player) {
+            logDebug(`${player.busName} seeked to ${player.position}`);
+
+            if (player === this._activePlayer) {
+                this._updatePositionDisplay();
+            }
+            if (this._sleepTimer && this._sleepTimer.endOfTrack && this._sleepTimer.player === player) {
+                this._scheduleSleepTimer();
+            }
+        }
+
+        /**
+         * Fetches a player's Position and updates the display if the panel follows it.
+         * @param {MprisPlayer} player - The player to refresh.
+         */
+        async _refreshPosition(player) {
+            await player.refreshPosition();
+
+            if (player === this._activePlayer) {
+                this._updatePositionDisplay();
+            }
+            // The end of the track moves with pausing and seeking
+            if (this._sleepTimer && this._sleepTimer.endOfTrack && this._sleepTimer.player === player) {
+                this._scheduleSleepTimer();
+            }
+        }
+
+        /**
+         * Jumps to an absolute position in the current track.
+         * @param {number} position - The target position in microseconds.
+         * @param {MprisPlayer} [player] - The target player; defaults to the followed player.
+         * @returns {Promise<void>} - A promise that resolves when the command is sent successfully.
+         */
+        _setPosition(position, player = this._activePlayer) {
+            if (!player) {
+                return Promise.reject(new Error('No player to seek'));
+            }
+
+            let promise = player.setPosition(position).catch(e => {
+                logError(e, `Failed to set the position of ${player.busName}`);
+                throw e;
+            });
+
+            if (player === this._activePlayer) {
+                this._updatePositionDisplay();
+            }
+            return promise;
+        }
+
+        /**
+         * Seeks forwards or backwards relative to the current position.
+         * @param {number} offset - The offset in microseconds; negative values seek backwards.
+         * @param {MprisPlayer} [player] - The target player; defaults to the followed player.
+         * @returns {Promise<void>} - A promise that resolves when the command is sent successfully.
+         */
+        _seek(offset, player = this._activePlayer) {
+            if (!player) {
+                return Promise.reject(new Error('No player to seek'));
+            }
+
+            return player.seek(offset).catch(e => {
+                logError(e, `Failed to seek ${player.busName}`);
+                throw e;
+            });
+        }
+
+        /**
+         * Returns the length of the followed player's current track.
+         * @returns {number} - The length in microseconds, or 0 if unknown.
+         */
+        _getTrackLength() {
+            if (!this._activePlayer) {
+                return 0;
+            }
+            return this._activePlayer.track.length;
+        }
+
+        /**
+         * Updates the seek slider, the menu time labels and the top bar time readout
+         * from the followed player's stored position.
+         */
+        _updatePositionDisplay() {
+            let length = this._getTrackLength();
+            let position = this._activePlayer ? Math.min(this._activePlayer.position, length) : 0;
+
+            if (this.positionItem) {
+                this.positionItem.visible = length > 0;
+                if (!this._positionSliderDragging) {
+                    this._updatingPositionSlider = true;
+                    this.positionSlider.value = length > 0 ? position / length : 0;
+                    this._updatingPositionSlider = false;
+                }
+                this.elapsedTimeLabel.text = formatTime(position);
+                this.remainingTimeLabel.text = `-${formatTime(length - position)}`;
+            }
+
+            if (this.timeLabel) {
+                this.timeLabel.text = `${formatTime(position)} / ${formatTime(length)}`;
+                this.timeLabel.visible = this._settings.get_boolean('show-track-time') && length > 0;
+            }
+
+            if (this._labelUsesPosition()) {
+                this._updateTrackLabel(this._activePlayer.track);
+            }
+            this._updateLyricsDisplay();
+        }
+
+        /**
+         * Whether the track label shows the position and must follow it.
+         * @returns {boolean} - True if the current label template uses {position}.
+         */
+        _labelUsesPosition() {
+            return !!this._activePlayer && !!this._activePlayer.track.title &&
+                this._getLabelTemplate(this._activePlayer.track).includes('{position}');
+        }
+
+        /**
+         * Called when the seek slider's value changes. Dragging only updates the
+         * time labels; the seek is sent on release. Scroll and keyboard changes seek immediately.
+         */
+        _onPositionSliderChanged() {
+            if (this._updatingPositionSlider || !this._activePlayer) {
+                return;
+            }
+
+            let position = this.positionSlider.value * this._getTrackLength();
+            if (this._positionSliderDragging) {
+                this.elapsedTimeLabel.text = formatTime(position);
+                this.remainingTimeLabel.text = `-${formatTime(this._getTrackLength() - position)}`;
+                return;
+            }
+
+            this._setPosition(position).catch(() => {});
+        }
+
+        /**
+         * Whether the position is on screen and moving, i.e. worth polling.
+         * @returns {boolean} - True if the position should be polled.
+         */
+        _shouldPollPosition() {
+            if (!this._activePlayer || this._activePlayer.playbackStatus !== 'Playing' || !this.mapped) {
+                return false;
+            }
+            return this.menu.isOpen || this._labelUsesPosition() ||
+                (this._settings.get_boolean('show-track-time') && this._getTrackLength() > 0) ||
+                (!!this._lyrics && this._settings.get_boolean('lyrics-in-panel'));
+        }
+
+        /**
+         * Starts or stops polling Position, depending on whether it is visible and playing.
+         * Seeked signals resync the position in between polls.
+         */
+        _updatePositionPolling() {
+            let shouldPoll = this._shouldPollPosition();
+
+            if (shouldPoll && !this._positionPollId) {
+                logDebug('Starting Position polling');
+                this._positionPollId = setInterval(() => {
+                    if (this._activePlayer) {
+                        this._refreshPosition(this._activePlayer);
+                    }
+                }, POSITION_POLL_INTERVAL);
+                if (this._activePlayer) {
+                    this._refreshPosition(this._activePlayer);
+                }
+            } else if (!shouldPoll && this._positionPollId) {
+                logDebug('Stopping Position polling');
+                clearInterval(this._positionPollId);
+                this._positionPollId = null;
+            }
+        }
+
+        /**
+         * Returns the artist and title lyrics are looked up and offsets saved by.
+         * @param {Object|null} track - The track, or null if there is none.
+         * @returns {{artist: string, title: string}} - The first artist and the title.
+         */
+        _getLyricsTrack(track) {
+            if (track?.isAd) {
+                return { artist: '', title: '' };
+            }
+            return {
+                artist: track?.artists[0] ?? '',
+                title: track?.title ?? '',
+            };
+        }
+
+        /**
+         * Looks up the lyrics of a new track. Does nothing if the track hasn't changed.
+         * @param {Object|null} track - The track, or null if there is none.
+         */
+        async _loadLyrics(track) {
+            let { artist, title } = this._getLyricsTrack(track);
+            let key = title !== '' ? `${artist}\n${title}` : null;
+            if (key === this._lyricsTrackKey) {
+                return;
+            }
+
+            this._lyricsTrackKey = key;
+            this._lyrics = null;
+            this._updateLyricsDisplay();
+
+            if (key === null || !this._lyricsLibrary) {
+                return;
+            }
+
+            let lyrics = await this._lyricsLibrary.find(artist, title);
+            if (this._lyricsTrackKey !== key || !this._lyricsLibrary) {
+                // The track changed while searching
+                return;
+            }
+
+            this._lyrics = lyrics && lyrics.lines.length > 0 ? { ...lyrics, artist, title } : null;
+            this._updateLyricsDisplay();
+            this._updatePositionPolling();
+        }
+
+        /**
+         * Returns the total lyrics offset of the current track: the file's
+         * [offset:] tag plus the offset saved for the track.
+         * @returns {number} - The offset in milliseconds; positive values show lines earlier.
+         */
+        _getLyricsOffset() {
+            if (!this._lyrics) {
+                return 0;
+            }
+            return this._lyrics.offset + this._lyricsLibrary.getOffset(this._lyrics.artist, this._lyrics.title);
+        }
+
+        /**
+         * Shifts the current track's lyrics and saves the new offset.
+         * @param {number} delta - The change in milliseconds; positive values show lines earlier.
+         */
+        _adjustLyricsOffset(delta) {
+            if (!this._lyrics) {
+                return;
+            }
+            let { artist, title } = this._lyrics;
+            this._lyricsLibrary.setOffset(artist, title, this._lyricsLibrary.getOffset(artist, title) + delta);
+            this._updateLyricsDisplay();
+        }
+
+        /**
+         * Highlights the lyric line at a position in the menu and, in lyrics mode,
+         * shows it in the top bar. While playing, the next line is shown when its
+         * time comes, without waiting for the next Position poll.
+         * @param {number} [position] - The position in microseconds; defaults to the followed player's.
+         */
+        _updateLyricsDisplay(position = this._activePlayer ? this._activePlayer.position : 0) {
+            if (this._lyricsTimeoutId) {
+                clearTimeout(this._lyricsTimeoutId);
+                this._lyricsTimeoutId = null;
+            }
+            if (!this.lyricsItem) {
+                return;
+            }
+
+            let previousIndex = this._lyricsLineIndex;
+            this.lyricsItem.visible = !!this._lyrics;
+
+            if (!this._lyrics) {
+                this._lyricsLineIndex = -1;
+            } else {
+                let lines = this._lyrics.lines;
+                let offset = this._getLyricsOffset() * 1000;
+                this._lyricsLineIndex = findLyricsLine(lines, position + offset);
+
+                this.lyricsLabels.forEach((label, i) => {
+                    let line = lines[this._lyricsLineIndex - LYRICS_CONTEXT_LINES + i];
+                    label.text = line ? line.text : '';
+                });
+
+                let userOffset = this._lyricsLibrary.getOffset(this._lyrics.artist, this._lyrics.title) / 1000;
+                this.lyricsOffsetLabel.text = _('Offset %s s').format(`${userOffset > 0 ? '+' : ''}${userOffset.toFixed(2)}`);
+
+                // Show the next line on time
+                let next = lines[this._lyricsLineIndex + 1];
+                if (next && this._activePlayer && this._activePlayer.playbackStatus === 'Playing') {
+                    let delay = Math.max(0, (next.time - offset - position) / 1000);
+                    this._lyricsTimeoutId = setTimeout(() => {
+                        this._lyricsTimeoutId = null;
+                        this._updateLyricsDisplay(next.time - offset);
+                    }, delay);
+                }
+            }
+
+            if (this._lyricsLineIndex !== previousIndex && this._settings.get_boolean('lyrics-in-panel') &&
+                this._activePlayer && this._activePlayer.track.title) {
+                this._updateTrackLabel(this._activePlayer.track);
+            }
+        }
+
+        /**
+         * Returns the lyric line to show in the top bar in lyrics mode.
+         * @returns {string|null} - The current line, or null to show the normal label.
+         */
+        _getPanelLyricLine() {
+            if (!this._lyrics || this._lyricsLineIndex < 0 || !this._settings.get_boolean('lyrics-in-panel')) {
+                return null;
+            }
+            let text = this._lyrics.lines[this._lyricsLineIndex].text;
+            return text !== '' ? text : null;
+        }
+
+        /**
+         * Runs a callback after a delay. The timeout is tracked and cleared upon destruction.
+         * @param {Function} callback - The function to run.
+         * @param {number} delay - The delay in milliseconds.
+         * @returns {Object} - The timeout, for _removeTimeout.
+         */
+        _addTimeout(callback, delay) {
+            const timeoutID = setTimeout(() => {
+                // Remove the timeoutID from activeTimeouts once it fired
+                const index = this._activeTimeouts.indexOf(timeoutID);
+                if (index > -1) {
+                    this._activeTimeouts.splice(index, 1);
+                }
+                callback();
+            }, delay);
+            this._activeTimeouts.push(timeoutID);
+            return timeoutID;
+        }
+
+        /**
+         * Clears a timeout added with _addTimeout.
+         * @param {Object} timeoutID - The timeout.
+         */
+        _removeTimeout(timeoutID) {
+            clearTimeout(timeoutID);
+            const index = this._activeTimeouts.indexOf(timeoutID);
+            if (index > -1) {
+                this._activeTimeouts.splice(index, 1);
+            }
+        }
+
+        /**
+         * Sleeps for the specified delay in milliseconds.
+         * The timeout is tracked and can be cleared upon destruction.
+         * @param {number} delay - The delay in milliseconds.
+         * @returns {Promise<void>} - A Promise that resolves after the delay.
+         */
+        _sleep(delay) {
+            return new Promise(resolve => this._addTimeout(resolve, delay));
+        }
+
+        /**
+         * Starts the sleep timer for the followed player, replacing a running one.
+         * When it fires, the volume fades out over 'sleep-timer-fade' seconds,
+         * playback pauses and the volume is restored.
+         * @param {number|null} minutes - The duration, or null to stop at the end of the current track.
+         */
+        _startSleepTimer(minutes) {
+            this._cancelSleepTimer();
+
+            let player = this._activePlayer;
+            if (!player) {
+                return;
+            }
+
+            logDebug(minutes === null ? 'Sleep timer set to the end of the track' : `Sleep timer set to ${minutes} minutes`);
+            this._sleepTimer = {
+                player,
+                endOfTrack: minutes === null,
+                // Monotonic time the timer runs out, or null while the end of the track is unknown
+                endTime: minutes === null ? null : GLib.get_monotonic_time() + minutes * 60 * 1000000,
+                timeoutId: null,
+                fading: false,
+                // The volume to restore after the fade-out
+                volume: null,
+            };
+
+            if (minutes === null) {
+                // Scheduled once the position is known
+                this._refreshPosition(player);
+            } else {
+                this._scheduleSleepTimer();
+            }
+            this._tickSleepTimer();
+        }
+
+        /**
+         * (Re)schedules the running sleep timer. An end-of-track timer starts fading
+         * early enough to be silent when the track ends, and waits while playback is paused.
+         */
+        _scheduleSleepTimer() {
+            let timer = this._sleepTimer;
+            if (!timer || timer.fading) {
+                return;
+            }
+
+            if (timer.timeoutId) {
+                this._removeTimeout(timer.timeoutId);
+                timer.timeoutId = null;
+            }
+
+            let fadeTime = 0;
+            if (timer.endOfTrack) {
+                let { player } = timer;
+                let length = player.track.length;
+                timer.endTime = player.playbackStatus === 'Playing' && length > 0
+                    ? GLib.get_monotonic_time() + Math.max(0, length - player.position)
+                    : null;
+                fadeTime = this._settings.get_int('sleep-timer-fade') * 1000000;
+            }
+
+            if (timer.endTime !== null) {
+                let delay = Math.max(0, (timer.endTime - fadeTime - GLib.get_monotonic_time()) / 1000);
+                timer.timeoutId = this._addTimeout(() => {
+                    timer.timeoutId = null;
+                    this._onSleepTimerFired();
+                }, delay);
+            }
+            this._updateSleepTimerDisplay();
+        }
+
+        /**
+         * Fades the volume of the sleep timer's player out, pauses it and restores the volume.
+         */
+        async _onSleepTimerFired() {
+            let timer = this._sleepTimer;
+            if (!timer || timer.fading) {
+                return;
+            }
+
+            logDebug('Sleep timer fired');
+            timer.fading = true;
+            if (timer.timeoutId) {
+                this._removeTimeout(timer.timeoutId);
+                timer.timeoutId = null;
+            }
+            this._updateSleepTimerDisplay();
+
+            let { player } = timer;
+            let fadeDuration = this._settings.get_int('sleep-timer-fade') * 1000;
+            if (player.volume > 0 && fadeDuration > 0 && this._isActionAllowed('volume-down', player)) {
+                timer.volume = player.volume;
+                let steps = Math.ceil(fadeDuration / SLEEP_TIMER_FADE_STEP);
+                for (let i = 1; i <= steps; i++) {
+                    await this._sleep(SLEEP_TIMER_FADE_STEP);
+                    // Cancelling restores the volume by itself
+                    if (this._sleepTimer !== timer) {
+                        return;
+                    }
+                    this._setVolume(timer.volume * (1 - i / steps), player).catch(() => {});
+                }
+            }
+
+            await this._sendMPRISCommand('Pause', player).catch(() => {});
+            if (this._sleepTimer === timer) {
+                this._cancelSleepTimer();
+            }
+        }
+
+        /**
+         * Stops the sleep timer. If it was fading out, the volume is restored,
+         * so the next session doesn't start silent.
+         */
+        _cancelSleepTimer() {
+            let timer = this._sleepTimer;
+            if (!timer) {
+                return;
+            }
+
+            logDebug('Sleep timer stopped');
+            this._sleepTimer = null;
+            if (timer.timeoutId) {
+                this._removeTimeout(timer.timeoutId);
+            }
+            if (timer.volume !== null) {
+                this._setVolume(timer.volume, timer.player).catch(() => {});
+            }
+            this._tickSleepTimer();
+        }
+
+        /**
+         * Updates the countdown and, while a sleep timer runs, schedules the next update.
+         */
+        _tickSleepTimer() {
+            if (this._sleepTimerTickId) {
+                this._removeTimeout(this._sleepTimerTickId);
+                this._sleepTimerTickId = null;
+            }
+
+            this._updateSleepTimerDisplay();
+            if (this._sleepTimer) {
+                this._sleepTimerTickId = this._addTimeout(() => {
+                    this._sleepTimerTickId = null;
+                    this._tickSleepTimer();
+                }, 1000);
+            }
+        }
+
+        /**
+         * Shows the sleep timer's remaining time in the menu and, if
+         * 'sleep-timer-in-panel' is on, in the top bar.
+         */
+        _updateSleepTimerDisplay() {
+            if (!this.sleepTimerSubMenu) {
+                return;
+            }
+
+            let timer = this._sleepTimer;
+            let text = null;
+            if (timer && timer.fading) {
+                text = _('Fading Out');
+            } else if (timer && timer.endTime !== null) {
+                text = formatTime(Math.max(0, timer.endTime - GLib.get_monotonic_time()));
+            } else if (timer) {
+                text = _('End of Track');
+            }
+
+            this.sleepTimerSubMenu.label.text = text !== null ? _('Sleep Timer: %s').format(text) : _('Sleep Timer');
+            this.sleepTimerCancelItem.visible = !!timer;
+
+            this.sleepTimerLabel.text = text ?? '';
+            this.sleepTimerBox.visible = !!timer && this._settings.get_boolean('sleep-timer-in-panel');
+        }
+
+        /**
+         * Starts the sleep timer with the number of minutes typed into the custom entry.
+         */
+        _onSleepTimerEntryActivated() {
+            let minutes = parseInt(this.sleepTimerEntry.text, 10);
+            if (!(minutes > 0)) {
+                this.sleepTimerEntry.text = '';
+                return;
+            }
+
+            this._startSleepTimer(Math.min(minutes, SLEEP_TIMER_MAX_MINUTES));
+            this.menu.close();
+        }
+
+        /**
+         * Checks whether a player is on 'pause-ignore-list', by full bus name or by
+         * short name, e.g. 'firefox' also matches org.mpris.MediaPlayer2.firefox.instance_1_23.
+         * @param {MprisPlayer} player - The player.
+         * @returns {boolean} - True if the player never pauses Spotify.
+         */
+        _isIgnoredPlayer(player) {
+            return this._settings.get_strv('pause-ignore-list').some(name => {
+                let busName = name.startsWith(MPRIS_BUS_NAME_PREFIX) ? name : MPRIS_BUS_NAME_PREFIX + name;
+                return player.busName === busName || player.busName.startsWith(`${busName}.`);
+            });
+        }
+
+        /**
+         * Callback function when the PlaybackStatus of a player other than Spotify changes.
+         * If 'pause-for-other-players' is on, Spotify is paused when that player starts
+         * playing, and resumed 'resume-grace-delay' seconds after no other player plays anymore.
+         * @param {MprisPlayer} player - The other player.
+         */
+        _onOtherPlayerStatusChanged(player) {
+            if (!this._settings.get_boolean('pause-for-other-players') || this._isIgnoredPlayer(player)) {
+                return;
+            }
+
+            if (player.playbackStatus !== 'Playing') {
+                this._scheduleInterruptionResume();
+                return;
+            }
+
+            // Another player (re)started, so don't resume yet
+            if (this._interruptResumeId) {
+                this._removeTimeout(this._interruptResumeId);
+                this._interruptResumeId = null;
+            }
+
+            let spotify = [...this._players.values()].find(p => p.isSpotify);
+            if (!spotify || spotify.playbackStatus !== 'Playing' || !this._isActionAllowed('play-pause', spotify)) {
+                return;
+            }
+
+            logDebug(`Pausing ${spotify.busName} while ${player.busName} plays`);
+            this._interruptedPlayer = spotify;
+            this._sendMPRISCommand('Pause', spotify).catch(() => {
+                this._interruptedPlayer = null;
+            });
+        }
+
+        /**
+         * Resumes Spotify after the grace delay if it was paused for other
+         * players and none of them is playing anymore.
+         */
+        _scheduleInterruptionResume() {
+            let otherPlaying = [...this._players.values()].some(p =>
+                !p.isSpotify && p.playbackStatus === 'Playing' && !this._isIgnoredPlayer(p));
+            if (!this._interruptedPlayer || this._interruptResumeId || otherPlaying) {
+                return;
+            }
+
+            let delay = this._settings.get_int('resume-grace-delay') * 1000;
+            this._interruptResumeId = this._addTimeout(() => {
+                this._interruptResumeId = null;
+
+                let spotify = this._interruptedPlayer;
+                this._interruptedPlayer = null;
+                if (spotify && spotify.playbackStatus === 'Paused') {
+                    logDebug(`Resuming ${spotify.busName}; no other player is playing`);
+                    this._sendMPRISCommand('Play', spotify).catch(() => {});
+                }
+            }, delay);
+        }
+
+        /**
+         * Forgets that Spotify was paused for other players, so it won't be resumed.
+         */
+        _cancelInterruption() {
+            this._interruptedPlayer = null;
+            if (this._interruptResumeId) {
+                this._removeTimeout(this._interruptResumeId);
+                this._interruptResumeId = null;
+            }
+        }
+
+        /**
+         * Callback function when the session mode changes. Pauses playback when the
+         * screen locks, if 'pause-on-lock' is on, and resumes it on unlock.
+         * The indicator is hidden on the lock screen.
+         */
+        _onSessionModeUpdated() {
+            let locked = Main.sessionMode.isLocked;
+            if (locked === this._locked) {
+                return;
+            }
+            this._locked = locked;
+            logDebug(`Screen ${locked ? 'locked' : 'unlocked'}`);
+
+            this.container.visible = !locked;
+            this._syncQuickSettings();
+            if (locked) {
+                this.menu.close();
+                // Take earlier notifications and their Next/Pause actions off the lock screen
+                this._trackNotifier.destroy();
+                this._autoPause('pause-on-lock');
+            } else {
+                this._autoResume();
+            }
+        }
+
+        /**
+         * Callback function for logind's PrepareForSleep signal. Pauses playback before
+         * suspending, if 'pause-on-suspend' is on, and resumes it on wake.
+         * @param {boolean} aboutToSuspend - True before suspending, false after waking up.
+         */
+        async _onPrepareForSleep(aboutToSuspend) {
+            logDebug(aboutToSuspend ? 'Preparing for suspend' : 'Woke up from suspend');
+
+            if (aboutToSuspend) {
+                await this._autoPause('pause-on-suspend');
+                // Let the system suspend now that playback is paused
+                this._releaseSleepInhibitor();
+            } else {
+                this._updateSleepInhibitor();
+                this._autoResume();
+            }
+        }
+
+        /**
+         * Takes a logind delay inhibitor while 'pause-on-suspend' is on, so
+         * playback can be paused before the system suspends, and releases it otherwise.
+         */
+        async _updateSleepInhibitor() {
+            if (!this._settings.get_boolean('pause-on-suspend')) {
+                this._releaseSleepInhibitor();
+                return;
+            }
+            if (this._sleepInhibitor || this._sleepInhibitorCancellable) {
+                return;
+            }
+
+            let cancellable = new Gio.Cancellable();
+            this._sleepInhibitorCancellable = cancellable;
+            try {
+                let inhibitor = await this._loginManager.inhibit(_('Pausing playback before suspend'), cancellable);
+                if (cancellable.is_cancelled()) {
+                    inhibitor?.close(null);
+                } else {
+                    this._sleepInhibitor = inhibitor;
+                }
+            } catch (e) {
+                if (!e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) {
+                    logError(e, 'Failed to inhibit suspend');
+                }
+            }
+
+            if (this._sleepInhibitorCancellable === cancellable) {
+                this._sleepInhibitorCancellable = null;
+            }
+        }
+
+        /**
+         * Releases the logind delay inhibitor, or cancels taking it.
+         */
+        _releaseSleepInhibitor() {
+            if (this._sleepInhibitorCancellable) {
+                this._sleepInhibitorCancellable.cancel();
+                this._sleepInhibitorCancellable = null;
+            }
+            if (this._sleepInhibitor) {
+                this._sleepInhibitor.close(null);
+                this._sleepInhibitor = null;
+            }
+        }
+
+        /**
+         * Pauses the followed player if it is playing and the given setting is on,
+         * and remembers it, so that _autoResume only resumes playback the extension paused.
+         * @param {string} key - The setting that enables pausing, 'pause-on-lock' or 'pause-on-suspend'.
+         * @returns {Promise<void>} - A promise that resolves once the player paused.
+         */
+        async _autoPause(key) {
+            let player = this._activePlayer;
+            if (!this._settings.get_boolean(key) || !player || player.playbackStatus !== 'Playing' ||
+                !this._isActionAllowed('play-pause', player)) {
+                return;
+            }
+
+            logDebug(`Pausing ${player.busName} (${key})`);
+            this._autoPausedPlayer = player;
+            try {
+                await this._sendMPRISCommand('Pause', player);
+            } catch (e) {
+                this._autoPausedPlayer = null;
+            }
+        }
+
+        /**
+         * Resumes the player paused by _autoPause, if 'resume-after-auto-pause' is on
+         * and it is still paused. Waits for the unlock if the screen is still locked.
+         */
+        _autoResume() {
+            let player = this._autoPausedPlayer;
+            if (!player || Main.sessionMode.isLocked) {
+                return;
+            }
+            this._autoPausedPlayer = null;
+
+            if (!this._settings.get_boolean('resume-after-auto-pause') || player.playbackStatus !== 'Paused') {
+                return;
+            }
+
+            logDebug(`Resuming ${player.busName}`);
+            this._sendMPRISCommand('Play', player).catch(() => {});
+        }
+
+        /**
+         * Updates the Play/Pause button icon based on the current playback status.
          * @param {string} playbackStatus - The current playback status ('Playing' or other).
          */
         _updatePlayPauseIcon(playbackStatus) {
@@ -627,126 +2793,443 @@ var SpotifyIndicator = GObject.registerClass(
             if (this.playPauseButton) {
                 this.playPauseButton.child.icon_name = iconName;
             }
+            if (this.menuPlayPauseButton) {
+                this.menuPlayPauseButton.child.icon_name = iconName;
+            }
+            this._syncQuickSettings();
             logDebug(`Updated play/pause icon to ${iconName}`);
         }
 
         /**
-         * Sends an MPRIS command (e.g., 'Previous', 'PlayPause', 'Next') to Spotify.
+         * Callback function when a player's CanGoNext, CanPlay, etc. change.
+         * @param {MprisPlayer} player - The player whose capabilities changed.
+         */
+        _onCapabilitiesChanged(player) {
+            logDebug(`${player.busName} capabilities changed`);
+            if (player === this._activePlayer) {
+                this._updateControlsSensitivity();
+            }
+        }
+
+        /**
+         * Checks whether a player currently allows an action, according to its
+         * CanControl, CanGoNext, CanGoPrevious, CanPlay, CanPause and CanSeek properties.
+         * Actions that don't control playback are always allowed.
+         * @param {string} action - The action, see _runAction.
+         * @param {MprisPlayer} [player] - The player; defaults to the followed player.
+         * @returns {boolean} - True if the action may run.
+         */
+        _isActionAllowed(action, player = this._activePlayer) {
+            // Without a player, play-pause launches Spotify and the rest do nothing anyway
+            if (!player) {
+                return true;
+            }
+
+            switch (action) {
+                case 'play-pause':
+                    return player.canControl && (player.playbackStatus === 'Playing' ? player.canPause : player.canPlay);
+                case 'next':
+                    return player.canControl && player.canGoNext;
+                case 'previous':
+                    return player.canControl && player.canGoPrevious;
+                case 'seek-forward':
+                case 'seek-backward':
+                    return player.canControl && player.canSeek;
+                case 'volume-up':
+                case 'volume-down':
+                    return player.canControl;
+                default:
+                    return true;
+            }
+        }
+
+        /**
+         * Makes the playback buttons and sliders insensitive and dims the buttons
+         * while the followed player doesn't allow what they do.
+         */
+        _updateControlsSensitivity() {
+            let buttons = [
+                ['previous', [this.prevButton, this.menuPrevButton, this._quickSettings?.toggle.prevButton]],
+                ['play-pause', [this.playPauseButton, this.menuPlayPauseButton, this._quickSettings?.toggle.playPauseButton]],
+                ['next', [this.nextButton, this.menuNextButton, this._quickSettings?.toggle.nextButton]],
+                ['volume-up', [this.muteButton]],
+            ];
+            for (let [action, actionButtons] of buttons) {
+                let allowed = this._isActionAllowed(action);
+                for (let button of actionButtons) {
+                    if (button) {
+                        button.reactive = allowed;
+                        button.can_focus = allowed;
+                        button.opacity = allowed ? 255 : DISABLED_CONTROL_OPACITY;
+                    }
+                }
+            }
+
+            if (this.positionSlider) {
+                this.positionSlider.reactive = this._isActionAllowed('seek-forward');
+            }
+            if (this.volumeSlider) {
+                this.volumeSlider.reactive = this._isActionAllowed('volume-up');
+            }
+        }
+
+        /**
+         * Sends an MPRIS command (e.g., 'Previous', 'PlayPause', 'Next') to a player.
          * @param {string} command - The MPRIS command to send.
+         * @param {MprisPlayer} [player] - The target player; defaults to the followed player.
          * @returns {Promise<void>} - A promise that resolves when the command is sent successfully.
          */
-        _sendMPRISCommand(command) {
-            logDebug(`Sending MPRIS command: ${command}`);
-            return new Promise((resolve, reject) => {
-                Gio.DBus.session.call(
-                    SPOTIFY_BUS_NAME,
-                    SPOTIFY_OBJECT_PATH,
-                    MPRIS_PLAYER_INTERFACE,
-                    command,
-                    null,
-                    null,
-                    Gio.DBusCallFlags.NONE,
-                    -1,
-                    null,
-                    (conn, res) => {
-                        try {
-                            conn.call_finish(res);
-                            logDebug(`MPRIS command '${command}' sent successfully`);
-                            resolve();
-                        } catch (e) {
-                            logError(e, `Failed to send MPRIS command: ${command}`);
-                            reject(e);
-                        }
-                    }
-                );
+        _sendMPRISCommand(command, player = this._activePlayer) {
+            if (!player) {
+                return Promise.reject(new Error(`No player to send MPRIS command '${command}' to`));
+            }
+
+            logDebug(`Sending MPRIS command: ${command} to ${player.busName}`);
+            return player.sendCommand(command).then(() => {
+                logDebug(`MPRIS command '${command}' sent successfully`);
+            }, e => {
+                logError(e, `Failed to send MPRIS command: ${command}`);
+                throw e;
             });
         }
 
         /**
-         * Adjusts the volume based on the scroll direction.
+         * Asks a player to bring its user interface to the front.
+         * @param {MprisPlayer} player - The player to raise.
+         */
+        _raisePlayer(player) {
+            logDebug(`Raising ${player.busName}`);
+            player.raise().catch(e => logError(e, `Failed to raise ${player.busName}`));
+        }
+
+        /**
+         * Runs a playback action on the followed player.
+         * @param {string} action - One of 'play-pause', 'next', 'previous', 'volume-up',
+         *     'volume-down', 'seek-forward', 'seek-backward', 'raise-window', 'open-menu',
+         *     'copy-track' or 'none'.
+         */
+        _runAction(action) {
+            // Skip what the player doesn't allow right now, e.g. skipping ads
+            if (!this._isActionAllowed(action)) {
+                logDebug(`${this._activePlayer.busName} doesn't allow ${action} right now`);
+                return;
+            }
+
+            logDebug(`Running action: ${action}`);
+
+            switch (action) {
+                case 'none':
+                    break;
+                case 'play-pause':
+                    // If PlayPause fails, attempt to launch Spotify
+                    this._sendMPRISCommand('PlayPause').catch(() => this._launchSpotify());
+                    break;
+                case 'next':
+                    this._sendMPRISCommand('Next').catch(() => {});
+                    break;
+                case 'previous':
+                    this._sendMPRISCommand('Previous').catch(() => {});
+                    break;
+                case 'volume-up':
+                    this._sendMPRISVolumeCommand('Raise');
+                    break;
+                case 'volume-down':
+                    this._sendMPRISVolumeCommand('Lower');
+                    break;
+                case 'seek-forward':
+                    this._seek(SEEK_STEP).catch(() => {});
+                    break;
+                case 'seek-backward':
+                    this._seek(-SEEK_STEP).catch(() => {});
+                    break;
+                case 'raise-window':
+                    this._activateSpotifyWindow();
+                    break;
+                case 'open-menu':
+                    this.menu.toggle();
+                    break;
+                case 'copy-track':
+                    this._copyTrack(this._settings.get_string('copy-shortcut-format'));
+                    break;
+                default:
+                    logDebug(`Unknown action: ${action}`);
+            }
+        }
+
+        /**
+         * Registers the global keyboard shortcuts from the 'shortcut-*' settings.
+         * Mutter follows later changes to those keys by itself.
+         */
+        _bindShortcuts() {
+            for (const [key, action] of Object.entries(SHORTCUTS)) {
+                Main.wm.addKeybinding(
+                    key,
+                    this._settings,
+                    Meta.KeyBindingFlags.NONE,
+                    Shell.ActionMode.NORMAL | Shell.ActionMode.OVERVIEW,
+                    () => this._runAction(action)
+                );
+            }
+        }
+
+        /**
+         * Removes the global keyboard shortcuts.
+         */
+        _unbindShortcuts() {
+            for (const key of Object.keys(SHORTCUTS)) {
+                Main.wm.removeKeybinding(key);
+            }
+        }
+
+        /**
+         * Runs the 'gesture-scroll-*' action for a scroll event. Smooth scroll deltas
+         * (touchpads, high-resolution wheels) are accumulated, and the action runs once
+         * per whole wheel step, so small touchpad movements neither get lost nor flood the player.
+         * @param {Clutter.Actor} actor - The actor that received the event.
          * @param {Clutter.Event} event - The scroll event.
+         * @returns {boolean} - Always stops the event.
          */
-        _adjustVolume(actor, event) {
-            logDebug(`Scroll event detected for volume control`);
-            let direction = event.get_scroll_direction();
-            if (direction === Clutter.ScrollDirection.UP) {
-                this._sendMPRISVolumeCommand('Raise');
-            } else if (direction === Clutter.ScrollDirection.DOWN) {
-                this._sendMPRISVolumeCommand('Lower');
+        _onScroll(actor, event) {
+            if (!this._settings.get_boolean('enable-volume-control')) {
+                return Clutter.EVENT_PROPAGATE;
+            }
+
+            // Discrete events emulated from smooth scrolling would count twice
+            if (event.is_pointer_emulated()) {
+                return Clutter.EVENT_STOP;
+            }
+
+            switch (event.get_scroll_direction()) {
+                case Clutter.ScrollDirection.UP:
+                    this._runAction(this._settings.get_string('gesture-scroll-up'));
+                    break;
+                case Clutter.ScrollDirection.DOWN:
+                    this._runAction(this._settings.get_string('gesture-scroll-down'));
+                    break;
+                case Clutter.ScrollDirection.LEFT:
+                    this._runAction(this._settings.get_string('gesture-scroll-left'));
+                    break;
+                case Clutter.ScrollDirection.RIGHT:
+                    this._runAction(this._settings.get_string('gesture-scroll-right'));
+                    break;
+                case Clutter.ScrollDirection.SMOOTH:
+                    this._onSmoothScroll(event);
+                    break;
+            }
+            return Clutter.EVENT_STOP;
+        }
+
+        /**
+         * Accumulates a smooth scroll event's deltas and runs one scroll action per whole step.
+         * The remainder is dropped when the gesture ends or turns around.
+         * @param {Clutter.Event} event - The smooth scroll event.
+         */
+        _onSmoothScroll(event) {
+            let [dx, dy] = event.get_scroll_delta();
+
+            // Start over when the direction flips, so turning around responds immediately
+            if (Math.sign(dx) !== 0 && Math.sign(dx) !== Math.sign(this._scrollDeltaX)) {
+                this._scrollDeltaX = 0;
+            }
+            if (Math.sign(dy) !== 0 && Math.sign(dy) !== Math.sign(this._scrollDeltaY)) {
+                this._scrollDeltaY = 0;
+            }
+            this._scrollDeltaX += dx;
+            this._scrollDeltaY += dy;
+
+            while (Math.abs(this._scrollDeltaY) >= 1) {
+                let down = this._scrollDeltaY > 0;
+                this._runAction(this._settings.get_string(down ? 'gesture-scroll-down' : 'gesture-scroll-up'));
+                this._scrollDeltaY -= down ? 1 : -1;
+            }
+            while (Math.abs(this._scrollDeltaX) >= 1) {
+                let right = this._scrollDeltaX > 0;
+                this._runAction(this._settings.get_string(right ? 'gesture-scroll-right' : 'gesture-scroll-left'));
+                this._scrollDeltaX -= right ? 1 : -1;
+            }
+
+            if (event.get_scroll_finish_flags() !== Clutter.ScrollFinishFlags.NONE) {
+                this._scrollDeltaX = 0;
+                this._scrollDeltaY = 0;
             }
         }
 
         /**
-         * Sends an MPRIS volume command (e.g., 'Raise', 'Lower') to Spotify.
+         * Sends an MPRIS volume command (e.g., 'Raise', 'Lower') to a player: changes
+         * its volume by 'volume-step' percent and shows the volume OSD.
          * @param {string} command - The MPRIS volume command to send.
+         * @param {MprisPlayer} [player] - The target player; defaults to the followed player.
          */
-        _sendMPRISVolumeCommand(command) {
-            logDebug(`Sending MPRIS volume command: ${command}`);
-
-            // First, get the current volume
-            Gio.DBus.session.call(
-                SPOTIFY_BUS_NAME,
-                SPOTIFY_OBJECT_PATH,
-                PROPERTIES_INTERFACE,
-                'Get',
-                new GLib.Variant('(ss)', [MPRIS_PLAYER_INTERFACE, 'Volume']),
-                GLib.VariantType.new('(v)'),
-                Gio.DBusCallFlags.NONE,
-                -1,
-                null,
-                (conn, res) => {
-                    try {
-                        let response = conn.call_finish(res);
-                        let [volumeVariant] = response.deep_unpack();
-                        let currentVolume = volumeVariant.deep_unpack();
-                        logDebug(`Current volume: ${currentVolume}`);
-
-                        // Adjust the volume based on the command
-                        let newVolume = currentVolume;
-                        if (command === 'Raise') {
-                            newVolume = Math.min(currentVolume + 0.1, 1.0); // Increase volume by 10%
-                        } else if (command === 'Lower') {
-                            newVolume = Math.max(currentVolume - 0.1, 0.0); // Decrease volume by 10%
-                        }
+        _sendMPRISVolumeCommand(command, player = this._activePlayer) {
+            // Players without a Volume property can't change it
+            if (!player || player.volume === null) {
+                return;
+            }
 
-                        // Set the new volume
-                        Gio.DBus.session.call(
-                            SPOTIFY_BUS_NAME,
-                            SPOTIFY_OBJECT_PATH,
-                            PROPERTIES_INTERFACE,
-                            'Set',
-                            new GLib.Variant('(ssv)', [MPRIS_PLAYER_INTERFACE, 'Volume', new GLib.Variant('d', newVolume)]),
-                            null,
-                            Gio.DBusCallFlags.NONE,
-                            -1,
-                            null,
-                            (conn, res) => {
-                                try {
-                                    conn.call_finish(res);
-                                    logDebug(`Volume set to ${newVolume}`);
-                                } catch (e) {
-                                    logError(e, `Failed to set volume to ${newVolume}`);
-                                }
-                            }
-                        );
-                    } catch (e) {
-                        logError(e, 'Failed to get current volume');
-                    }
+            logDebug(`Sending MPRIS volume command: ${command} to ${player.busName}`);
+
+            let step = this._settings.get_int('volume-step') / 100;
+            let newVolume = player.volume;
+            if (command === 'Raise') {
+                newVolume = Math.min(player.volume + step, 1.0);
+            } else if (command === 'Lower') {
+                newVolume = Math.max(player.volume - step, 0.0);
+            }
+
+            this._setVolume(newVolume, player).catch(() => {});
+            this._showVolumeOsd(player);
+        }
+
+        /**
+         * Sets a player's Volume. The player updates its cached volume right away, so
+         * quick successive changes build on each other without waiting for the player.
+         * @param {number} volume - The new volume, from 0 to 1.
+         * @param {MprisPlayer} [player] - The target player; defaults to the followed player.
+         * @returns {Promise<void>} - A promise that resolves when the volume is set.
+         */
+        _setVolume(volume, player = this._activePlayer) {
+            if (!player) {
+                return Promise.reject(new Error('No player to set the volume of'));
+            }
+
+            return player.setVolume(volume).then(() => {
+                logDebug(`Volume set to ${player.volume}`);
+            }, e => {
+                logError(e, `Failed to set volume to ${volume}`);
+                throw e;
+            });
+        }
+
+        /**
+         * Callback function when a player's volume changes. A volume above zero
+         * ends a mute. Updates the menu if the panel follows the player.
+         * @param {MprisPlayer} player - The player whose volume changed.
+         */
+        _onVolumeChanged(player) {
+            if (player.volume > 0) {
+                player.mutedVolume = null;
+            }
+            this._updateAdMute(player);
+
+            if (player === this._activePlayer) {
+                this._updateVolumeDisplay();
+            }
+        }
+
+        /**
+         * Mutes Spotify when an ad starts, if 'mute-ads' is on, and restores the volume
+         * it had before once real content plays again. The volume to restore is kept in
+         * 'ad-muted-volume', so it survives Spotify quitting during the ad. Volume changes
+         * made during the ad are left alone, and the previous volume is still restored afterwards.
+         * @param {MprisPlayer} player - The player whose track, volume or settings changed.
+         */
+        _updateAdMute(player) {
+            if (!player.isSpotify || player.volume === null) {
+                return;
+            }
+
+            let savedVolume = this._settings.get_double('ad-muted-volume');
+            if (player.track.isAd && this._settings.get_boolean('mute-ads')) {
+                // Only mute at the start of an ad break, not again for every ad in it
+                if (savedVolume < 0 && player.canControl) {
+                    logDebug(`Muting ad, saving volume ${player.volume}`);
+                    this._settings.set_double('ad-muted-volume', player.volume);
+                    this._setVolume(0, player).catch(() => {});
                 }
-            );
+            } else if (savedVolume >= 0) {
+                logDebug(`Ad ended, restoring volume ${savedVolume}`);
+                this._settings.set_double('ad-muted-volume', -1);
+                this._setVolume(savedVolume, player).catch(() => {});
+            }
         }
 
         /**
-         * Callback function when Spotify vanishes from D-Bus.
-         * Hides the indicator and cleans up signal subscriptions.
+         * Mutes the followed player, remembering its volume, or restores the remembered volume.
          */
-        _onSpotifyVanished() {
-            logDebug('Spotify vanished from D-Bus');
-            this.hide();
+        _toggleMute() {
+            let player = this._activePlayer;
+            if (!player || player.volume === null) {
+                return;
+            }
+
+            if (player.volume > 0) {
+                let previousVolume = player.volume;
+                this._setVolume(0, player).catch(() => {});
+                player.mutedVolume = previousVolume;
+            } else {
+                this._setVolume(player.mutedVolume ?? DEFAULT_UNMUTE_VOLUME, player).catch(() => {});
+            }
+        }
+
+        /**
+         * Returns the volume icon for a level.
+         * @param {number} volume - The volume, from 0 to 1.
+         * @returns {string} - The icon name.
+         */
+        _getVolumeIconName(volume) {
+            if (volume <= 0) {
+                return 'audio-volume-muted-symbolic';
+            } else if (volume < 1 / 3) {
+                return 'audio-volume-low-symbolic';
+            } else if (volume < 2 / 3) {
+                return 'audio-volume-medium-symbolic';
+            }
+            return 'audio-volume-high-symbolic';
+        }
+
+        /**
+         * Updates the menu's volume slider and mute button from the followed player's volume.
+         * The row is hidden for players that don't report a volume.
+         */
+        _updateVolumeDisplay() {
+            if (!this.volumeItem) {
+                return;
+            }
+
+            let volume = this._activePlayer ? this._activePlayer.volume : null;
+            this.volumeItem.visible = volume !== null;
+            if (volume === null) {
+                return;
+            }
+
+            this.muteButton.child.icon_name = this._getVolumeIconName(volume);
+            if (!this._volumeSliderDragging) {
+                this._updatingVolumeSlider = true;
+                this.volumeSlider.value = volume;
+                this._updatingVolumeSlider = false;
+            }
+        }
+
+        /**
+         * Called when the menu's volume slider changes.
+         */
+        _onVolumeSliderChanged() {
+            if (this._updatingVolumeSlider || !this._activePlayer) {
+                return;
+            }
+            this._setVolume(this.volumeSlider.value).catch(() => {});
+        }
+
+        /**
+         * Shows the GNOME volume OSD with a player's icon and volume, if 'show-volume-osd' is on
+         * and the screen isn't locked.
+         * @param {MprisPlayer} player - The player whose volume changed.
+         */
+        _showVolumeOsd(player) {
+            if (!this._settings.get_boolean('show-volume-osd') || player.volume === null || this._locked) {
+                return;
+            }
+
+            let icon = player.isSpotify
+                ? Gio.icon_new_for_string(`${this.extensionPath}/icons/spotify.svg`)
+                : Gio.ThemedIcon.new(this._getVolumeIconName(player.volume));
+            let label = player.identity;
 
-            if (this._signalSubscriptionId) {
-                Gio.DBus.session.signal_unsubscribe(this._signalSubscriptionId);
-                this._signalSubscriptionId = null;
+            // GNOME 46 replaced show() with showAll() and showOne()
+            if (Main.osdWindowManager.showAll) {
+                Main.osdWindowManager.showAll(icon, label, player.volume, 1);
+            } else {
+                Main.osdWindowManager.show(-1, icon, label, player.volume, 1);
             }
         }
 
@@ -756,18 +3239,49 @@ var SpotifyIndicator = GObject.registerClass(
         destroy() {
             logDebug('Destroying SpotifyIndicator');
 
-            // Unwatch Spotify's D-Bus name if it was being watched
-            if (this._spotifyWatcherId) {
-                Gio.DBus.session.unwatch_name(this._spotifyWatcherId);
-                this._spotifyWatcherId = null;
+            // Restore the volume if a sleep timer is fading out
+            this._cancelSleepTimer();
+
+            // Record the tracks that are playing, then stop watching for MPRIS
+            // players and disconnect from every player
+            for (let player of this._players.values()) {
+                this._finishPlay(player);
+            }
+
+            // Nothing would unmute a muted ad anymore
+            let adMutedVolume = this._settings.get_double('ad-muted-volume');
+            let spotify = [...this._players.values()].find(player => player.isSpotify);
+            if (adMutedVolume >= 0 && spotify) {
+                this._settings.set_double('ad-muted-volume', -1);
+                spotify.setVolume(adMutedVolume).catch(e => logError(e, 'Failed to restore the volume after an ad'));
             }
 
-            // Unsubscribe from the PropertiesChanged signal if subscribed
-            if (this._signalSubscriptionId) {
-                Gio.DBus.session.signal_unsubscribe(this._signalSubscriptionId);
-                this._signalSubscriptionId = null;
+            if (this._mprisWatcher) {
+                this._mprisWatcher.destroy();
+                this._mprisWatcher = null;
             }
 
+            if (this._history) {
+                this._history.destroy();
+                this._history = null;
+            }
+
+            if (this._scrobbler) {
+                this._scrobbler.destroy();
+                this._scrobbler = null;
+            }
+
+            if (this._lyricsLibrary) {
+                this._lyricsLibrary.destroy();
+                this._lyricsLibrary = null;
+            }
+            if (this._lyricsTimeoutId) {
+                clearTimeout(this._lyricsTimeoutId);
+                this._lyricsTimeoutId = null;
+            }
+            this._players.clear();
+            this._activePlayer = null;
+
             // Disconnect the 'show-spotify-icon' and 'show-track-info' setting change signals
             if (this._showIconChangedId) {
                 this._settings.disconnect(this._showIconChangedId);
@@ -779,18 +3293,169 @@ var SpotifyIndicator = GObject.registerClass(
                 this._showTrackInfoChangedId = null;
             }
 
+            // Disconnect the player selection setting change signals
+            if (this._playerSelectionChangedId) {
+                this._settings.disconnect(this._playerSelectionChangedId);
+                this._playerSelectionChangedId = null;
+            }
+
+            if (this._preferredPlayerChangedId) {
+                this._settings.disconnect(this._preferredPlayerChangedId);
+                this._preferredPlayerChangedId = null;
+            }
+
+            if (this._historyChangedIds) {
+                this._historyChangedIds.forEach(id => this._settings.disconnect(id));
+                this._historyChangedIds = null;
+            }
+
+            if (this._controlsLayoutChangedIds) {
+                this._controlsLayoutChangedIds.forEach(id => this._settings.disconnect(id));
+                this._controlsLayoutChangedIds = null;
+            }
+
+            if (this._labelWidthChangedIds) {
+                this._labelWidthChangedIds.forEach(id => this._settings.disconnect(id));
+                this._labelWidthChangedIds = null;
+            }
+
+            // Stop scrolling the track label
+            this._stopMarquee();
+
+            if (this._labelFormatChangedId) {
+                this._settings.disconnect(this._labelFormatChangedId);
+                this._labelFormatChangedId = null;
+            }
+
+            if (this._podcastLabelFormatChangedId) {
+                this._settings.disconnect(this._podcastLabelFormatChangedId);
+                this._podcastLabelFormatChangedId = null;
+            }
+
+            if (this._lyricsFolderChangedId) {
+                this._settings.disconnect(this._lyricsFolderChangedId);
+                this._lyricsFolderChangedId = null;
+            }
+
+            if (this._lyricsInPanelChangedId) {
+                this._settings.disconnect(this._lyricsInPanelChangedId);
+                this._lyricsInPanelChangedId = null;
+            }
+            if (this._adLabelChangedId) {
+                this._settings.disconnect(this._adLabelChangedId);
+                this._adLabelChangedId = null;
+            }
+            if (this._muteAdsChangedId) {
+                this._settings.disconnect(this._muteAdsChangedId);
+                this._muteAdsChangedId = null;
+            }
+            if (this._sleepTimerChangedIds) {
+                this._sleepTimerChangedIds.forEach(id => this._settings.disconnect(id));
+                this._sleepTimerChangedIds = null;
+            }
+            if (this._pauseOnSuspendChangedId) {
+                this._settings.disconnect(this._pauseOnSuspendChangedId);
+                this._pauseOnSuspendChangedId = null;
+            }
+            if (this._placementChangedId) {
+                this._settings.disconnect(this._placementChangedId);
+                this._placementChangedId = null;
+            }
+            if (this._quickSettings) {
+                this._quickSettings.destroy();
+                this._quickSettings = null;
+            }
+            if (this._searchProviderChangedId) {
+                this._settings.disconnect(this._searchProviderChangedId);
+                this._searchProviderChangedId = null;
+            }
+            this._removeSearchProvider();
+            if (this._bookmarksChangedId) {
+                this._settings.disconnect(this._bookmarksChangedId);
+                this._bookmarksChangedId = null;
+            }
+            if (this._pauseForOtherPlayersChangedId) {
+                this._settings.disconnect(this._pauseForOtherPlayersChangedId);
+                this._pauseForOtherPlayersChangedId = null;
+            }
+            this._cancelInterruption();
+
+            // Stop watching application drags
+            if (this._dragBeginId) {
+                Main.xdndHandler.disconnect(this._dragBeginId);
+                this._dragBeginId = null;
+            }
+            if (this._dragEndId) {
+                Main.xdndHandler.disconnect(this._dragEndId);
+                this._dragEndId = null;
+            }
+            this._cancelDrag();
+
+            // Stop watching for screen locks and suspend
+            if (this._sessionModeUpdatedId) {
+                Main.sessionMode.disconnect(this._sessionModeUpdatedId);
+                this._sessionModeUpdatedId = null;
+            }
+            if (this._prepareForSleepId) {
+                this._loginManager.disconnect(this._prepareForSleepId);
+                this._prepareForSleepId = null;
+            }
+            this._releaseSleepInhibitor();
+            this._autoPausedPlayer = null;
+
+            if (this._panelCoverArtChangedId) {
+                this._settings.disconnect(this._panelCoverArtChangedId);
+                this._panelCoverArtChangedId = null;
+            }
+
+            if (this._showTrackTimeChangedId) {
+                this._settings.disconnect(this._showTrackTimeChangedId);
+                this._showTrackTimeChangedId = null;
+            }
+
+            // Stop polling the track position
+            if (this._positionPollId) {
+                clearInterval(this._positionPollId);
+                this._positionPollId = null;
+            }
+
             // Clear all active timeouts
             for (let timeoutID of this._activeTimeouts) {
                 clearTimeout(timeoutID);
             }
             this._activeTimeouts = [];
 
+            // Remove the global keyboard shortcuts
+            this._unbindShortcuts();
+
+            // Remove track-change notifications
+            if (this._trackNotifier) {
+                this._trackNotifier.destroy();
+                this._trackNotifier = null;
+            }
+
+            // Cancel album art downloads
+            if (this._artCache) {
+                this._artCache.destroy();
+                this._artCache = null;
+            }
+
+            if (this._clickTimeoutId) {
+                clearTimeout(this._clickTimeoutId);
+                this._clickTimeoutId = null;
+            }
+
             // Optionally, hide or destroy the Spotify icon and track label
             if (this.spotifyIcon) {
                 this.spotifyIcon.destroy();
                 this.spotifyIcon = null;
             }
 
+            if (this.coverIcon) {
+                this.coverIcon.destroy();
+                this.coverIcon = null;
+            }
+
             if (this.trackLabel) {
                 this.trackLabel.destroy();
                 this.trackLabel = null;
@@ -849,32 +3514,40 @@ export default class SpotifyControlsExtension extends Extension {
     enable() {
         logDebug('Enabling SpotifyControlsExtension');
         this._settings = this.getSettings();
+        this._migrateSettings();
 
-        // Connect to changes in various settings
-        this._positionChangedId = this._settings.connect('changed::position', this._onSettingsChanged.bind(this));
-        this._controlsPositionChangedId = this._settings.connect('changed::controls-position', this._onSettingsChanged.bind(this));
-        this._showControlsChangedId = this._settings.connect('changed::show-playback-controls', this._onSettingsChanged.bind(this));
-        this._volumeControlChangedId = this._settings.connect('changed::enable-volume-control', this._onSettingsChanged.bind(this));
-        this._showSpotifyIconChangedId = this._settings.connect('changed::show-spotify-icon', this._onSettingsChanged.bind(this));
-        this._showTrackInfoChangedId = this._settings.connect('changed::show-track-info', this._onSettingsChanged.bind(this));
-        // (No need to connect a signal for minimize-on-second-click unless you
-        // want to dynamically refresh the behavior mid-session. Typically not necessary.)
-
-        this._updateIndicator();
+        // Pass 'extensionPath' and 'settings' to SpotifyIndicator. The indicator
+        // follows its own layout settings; only the panel position is handled here.
+        spotifyIndicator = new SpotifyIndicator(this.path, this._settings);
+        Main.panel.addToStatusArea('spotify-indicator', spotifyIndicator);
+        this._updateIndicatorPosition();
+
+        this._positionChangedId = this._settings.connect('changed::position', this._updateIndicatorPosition.bind(this));
     }
 
     /**
-     * Updates the position of the SpotifyIndicator based on user settings.
+     * Carries settings of older versions over to the keys that replaced them, once.
+     * 'enable-middle-click' = false becomes 'gesture-middle-click' = 'none'.
      */
-    _updateIndicator() {
-        if (spotifyIndicator) {
-            spotifyIndicator.destroy();
-            spotifyIndicator = null;
+    _migrateSettings() {
+        if (this._settings.get_boolean('gestures-migrated')) {
+            return;
         }
 
-        // Retrieve settings for indicator position and controls position
+        if (!this._settings.get_boolean('enable-middle-click') && this._settings.get_user_value('gesture-middle-click') === null) {
+            logDebug('Migrating enable-middle-click=false to gesture-middle-click=none');
+            this._settings.set_string('gesture-middle-click', 'none');
+        }
+        this._settings.set_boolean('gestures-migrated', true);
+    }
+
+    /**
+     * Moves the SpotifyIndicator to the panel box and offset chosen by the
+     * 'position' setting. The indicator is reparented, not rebuilt, so the
+     * loaded track, album art and player state stay as they are.
+     */
+    _updateIndicatorPosition() {
         let position = this._settings.get_string('position');
-        let controlsPosition = this._settings.get_string('controls-position');
 
         // Validate 'position' setting
         const validPositions = [
@@ -887,77 +3560,71 @@ export default class SpotifyControlsExtension extends Extension {
             'leftmost-right',
             'mid-right',
             'far-right',
+            'quick-settings',
         ];
 
         if (!validPositions.includes(position)) {
             position = 'rightmost-left'; // Default to 'rightmost-left' if invalid
         }
 
-        // Validate 'controls-position' setting
-        if (controlsPosition !== 'left' && controlsPosition !== 'right') {
-            controlsPosition = 'right'; // Default to 'right' if invalid
+        // Take the indicator out first, so the offsets below only count the other items
+        let container = spotifyIndicator.container;
+        let parent = container.get_parent();
+        if (parent) {
+            parent.remove_child(container);
         }
 
-        // Pass 'extensionPath', 'controlsPosition', and 'settings' to SpotifyIndicator
-        spotifyIndicator = new SpotifyIndicator(this.path, controlsPosition, this._settings);
+        // The indicator shows up as a Quick Settings toggle instead, see SpotifyIndicator._updatePlacement
+        if (position === 'quick-settings') {
+            logDebug('Indicator moved to Quick Settings');
+            return;
+        }
 
         // Determine which box (left, center, right) to add the indicator to and its offset
-        let boxName;
-        let offset = null;
+        let box;
+        let offset;
 
         switch (position) {
             case 'far-left':
-                boxName = 'left';
+                box = Main.panel._leftBox;
                 offset = 0;
                 break;
             case 'mid-left':
-                boxName = 'left';
+                box = Main.panel._leftBox;
                 offset = Math.floor(Main.panel._leftBox.get_children().length / 2);
                 break;
             case 'rightmost-left':
-                boxName = 'left';
+                box = Main.panel._leftBox;
                 offset = Main.panel._leftBox.get_children().length;
                 break;
             case 'middle-left':
-                boxName = 'center';
+                box = Main.panel._centerBox;
                 offset = Math.max(0, Math.floor(Main.panel._centerBox.get_children().length / 2) - 1);
                 break;
             case 'center':
-                boxName = 'center';
+                box = Main.panel._centerBox;
                 offset = Math.floor(Main.panel._centerBox.get_children().length / 2);
                 break;
             case 'middle-right':
-                boxName = 'center';
+                box = Main.panel._centerBox;
                 offset = Math.floor(Main.panel._centerBox.get_children().length / 2) + 1;
                 break;
             case 'leftmost-right':
-                boxName = 'right';
+                box = Main.panel._rightBox;
                 offset = 0;
                 break;
             case 'mid-right':
-                boxName = 'right';
+                box = Main.panel._rightBox;
                 offset = Math.floor(Main.panel._rightBox.get_children().length / 2);
                 break;
             case 'far-right':
-                boxName = 'right';
+                box = Main.panel._rightBox;
                 offset = Main.panel._rightBox.get_children().length;
                 break;
-            default:
-                boxName = 'right';
-                offset = null;
         }
 
-        Main.panel.addToStatusArea('spotify-indicator', spotifyIndicator, offset, boxName);
-        logDebug(`Indicator added at position: ${position}, box: ${boxName}, offset: ${offset}`);
-    }
-
-    /**
-     * Callback function when any relevant setting changes.
-     * Updates the indicator's position or layout accordingly.
-     */
-    _onSettingsChanged() {
-        logDebug('Settings changed: updating indicator');
-        this._updateIndicator();
+        box.insert_child_at_index(container, Math.min(offset, box.get_n_children()));
+        logDebug(`Indicator moved to position: ${position}, offset: ${offset}`);
     }
 
     /**
@@ -977,31 +3644,6 @@ export default class SpotifyControlsExtension extends Extension {
             this._positionChangedId = null;
         }
 
-        if (this._controlsPositionChangedId) {
-            this._settings.disconnect(this._controlsPositionChangedId);
-            this._controlsPositionChangedId = null;
-        }
-
-        if (this._showControlsChangedId) {
-            this._settings.disconnect(this._showControlsChangedId);
-            this._showControlsChangedId = null;
-        }
-
-        if (this._volumeControlChangedId) {
-            this._settings.disconnect(this._volumeControlChangedId);
-            this._volumeControlChangedId = null;
-        }
-
-        if (this._showSpotifyIconChangedId) {
-            this._settings.disconnect(this._showSpotifyIconChangedId);
-            this._showSpotifyIconChangedId = null;
-        }
-
-        if (this._showTrackInfoChangedId) {
-            this._settings.disconnect(this._showTrackInfoChangedId);
-            this._showTrackInfoChangedId = null;
-        }
-
         this._settings = null;
     }
 }
@@ -0,0 +1,303 @@
+/*
+ * Spotify Controls Extension
+ * Copyright (C) 2024 Athanasios Raptis
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+
+import { logDebug, logError, makeDirectory, writeTextFile, readTextFile } from './utils.js';
+
+// Columns of the CSV export, in order
+const CSV_COLUMNS = ['timestamp', 'player', 'trackid', 'url', 'title', 'artists', 'album', 'length', 'played', 'skipped'];
+
+/**
+ * Returns the JSON-lines file the listening history is stored in,
+ * ~/.local/share/spotify-controls/history.jsonl.
+ * @returns {Gio.File} - The history file.
+ */
+export function getHistoryFile() {
+    return Gio.File.new_for_path(GLib.build_filenamev([GLib.get_user_data_dir(), 'spotify-controls', 'history.jsonl']));
+}
+
+/**
+ * Parses the contents of the history file. Lines that aren't valid JSON are skipped.
+ * @param {string} contents - The JSON-lines text.
+ * @returns {Object[]} - The history entries, oldest first.
+ */
+export function parseHistory(contents) {
+    const entries = [];
+    for (const line of contents.split('\n')) {
+        if (line.trim() === '') {
+            continue;
+        }
+        try {
+            entries.push(JSON.parse(line));
+        } catch (e) {
+            logDebug(`Skipping malformed history line: ${line}`);
+        }
+    }
+    return entries;
+}
+
+/**
+ * Serializes history entries as CSV, with artists joined by '; '.
+ * @param {Object[]} entries - The history entries.
+ * @returns {string} - The CSV text, with a header row.
+ */
+export function historyToCsv(entries) {
+    const escape = (value) => {
+        const text = Array.isArray(value) ? value.join('; ') : String(value ?? '');
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = entries.map(entry => CSV_COLUMNS.map(column => escape(entry[column])).join(','));
+    return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
+
+/**
+ * Serializes history entries as a JSON array.
+ * @param {Object[]} entries - The history entries.
+ * @returns {string} - The JSON text.
+ */
+export function historyToJson(entries) {
+    return JSON.stringify(entries, null, 2) + '\n';
+}
+
+/**
+ * ListeningHistory Class
+ * Keeps the listening history in memory and in the history file. New entries
+ * are appended; the file is rewritten when it grows 10% past 'history-max-entries'.
+ * Changes made by the preferences window (e.g. clearing) are picked up through a file
+ * monitor, which tells them from the extension's own writes by the file size.
+ */
+export class ListeningHistory {
+    /**
+     * Constructor for ListeningHistory.
+     * @param {Gio.Settings} settings - The settings object for the extension.
+     * @param {Function} onChanged - Called whenever the entries change.
+     */
+    constructor(settings, onChanged) {
+        this._settings = settings;
+        this._onChanged = onChanged;
+        this._file = getHistoryFile();
+        this._entries = [];
+
+        // Reads and writes are chained so they never interleave, and a read sees every write queued before it
+        this._queue = Promise.resolve();
+        this._pendingOperations = 0;
+        this._checkAfterOperations = false;
+
+        // Number of entries ever added, so a load can keep those its read doesn't include
+        this._generation = 0;
+
+        // Size of the file after the extension's last read or write; any other size means someone else changed it
+        this._fileSize = 0;
+
+        // Creation of the data directory, started by the first write, see _ensureDirectory
+        this._directoryReady = null;
+
+        this._monitor = this._file.monitor_file(Gio.FileMonitorFlags.NONE, null);
+        this._monitorChangedId = this._monitor.connect('changed', (monitor, file, otherFile, eventType) => {
+            if (eventType === Gio.FileMonitorEvent.CHANGES_DONE_HINT || eventType === Gio.FileMonitorEvent.DELETED) {
+                this._checkForExternalChange();
+            }
+        });
+
+        this.load();
+    }
+
+    /**
+     * The history entries, oldest first.
+     * @returns {Object[]} - The entries.
+     */
+    get entries() {
+        return this._entries;
+    }
+
+    /**
+     * (Re)loads the entries from the history file. Entries added after the load
+     * was queued aren't in the file it reads yet, so they are kept.
+     * @returns {Promise<void>} - A promise that resolves once the entries are loaded.
+     */
+    load() {
+        const generation = this._generation;
+
+        return this._enqueue(async () => {
+            const contents = await readTextFile(this._file);
+            this._fileSize = new TextEncoder().encode(contents).length;
+
+            const newer = this._generation - generation;
+            this._entries = [...parseHistory(contents), ...(newer > 0 ? this._entries.slice(-newer) : [])];
+            this._onChanged?.();
+        }, 'Failed to load listening history');
+    }
+
+    /**
+     * Records a played track.
+     * @param {Object} entry - The history entry (timestamp, player, trackid, url, arturl, title, artists, album, length, played, skipped).
+     */
+    add(entry) {
+        this._entries.push(entry);
+        this._generation++;
+
+        // Trim in batches, so that a full history isn't rewritten for every track
+        const maxEntries = this._settings.get_int('history-max-entries');
+        const trim = this._entries.length > maxEntries + Math.ceil(maxEntries / 10);
+        if (trim) {
+            this._entries = this._entries.slice(-maxEntries);
+        }
+
+        this._enqueue(() => trim ? this._rewrite() : this._append(entry), 'Failed to write listening history');
+
+        this._onChanged?.();
+    }
+
+    /**
+     * Runs a file operation after the ones queued before it.
+     * @param {Function} operation - Returns a promise that resolves once the operation is done.
+     * @param {string} errorMessage - Logged if the operation fails.
+     * @returns {Promise<void>} - A promise that resolves once the operation is done or failed.
+     */
+    _enqueue(operation, errorMessage) {
+        this._pendingOperations++;
+
+        this._queue = this._queue
+            .then(operation)
+            .catch(e => logError(e, errorMessage))
+            .finally(() => {
+                this._pendingOperations--;
+                if (this._pendingOperations === 0 && this._checkAfterOperations) {
+                    this._checkAfterOperations = false;
+                    this._checkForExternalChange();
+                }
+            });
+
+        return this._queue;
+    }
+
+    /**
+     * Reloads the entries if the history file was changed by someone else, e.g. cleared
+     * by the preferences window. The extension's own writes leave the size it expects.
+     */
+    _checkForExternalChange() {
+        // The size is only known once our own reads and writes are done
+        if (this._pendingOperations > 0) {
+            this._checkAfterOperations = true;
+            return;
+        }
+
+        this._file.query_info_async('standard::size', Gio.FileQueryInfoFlags.NONE, GLib.PRIORITY_DEFAULT, null, (file, result) => {
+            let size = 0;
+            try {
+                size = file.query_info_finish(result).get_size();
+            } catch (e) {
+                if (!e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND)) {
+                    logError(e, 'Failed to check the listening history file');
+                    return;
+                }
+            }
+
+            if (!this._monitor) {
+                return;
+            }
+            if (this._pendingOperations > 0) {
+                this._checkAfterOperations = true;
+            } else if (size !== this._fileSize) {
+                logDebug('Listening history changed outside the extension; reloading');
+                this.load();
+            }
+        });
+    }
+
+    /**
+     * Appends one entry to the history file, creating it if needed.
+     * @param {Object} entry - The history entry.
+     * @returns {Promise<void>} - A promise that resolves once the line is written.
+     */
+    async _append(entry) {
+        await this._ensureDirectory();
+
+        await new Promise((resolve, reject) => {
+            this._file.append_to_async(Gio.FileCreateFlags.NONE, GLib.PRIORITY_DEFAULT, null, (file, result) => {
+                let stream;
+                try {
+                    stream = file.append_to_finish(result);
+                } catch (e) {
+                    reject(e);
+                    return;
+                }
+
+                const bytes = new GLib.Bytes(new TextEncoder().encode(`${JSON.stringify(entry)}\n`));
+                stream.write_bytes_async(bytes, GLib.PRIORITY_DEFAULT, null, (s, res) => {
+                    try {
+                        s.write_bytes_finish(res);
+                        this._fileSize += bytes.get_size();
+                    } catch (e) {
+                        reject(e);
+                        return;
+                    }
+
+                    s.close_async(GLib.PRIORITY_DEFAULT, null, (st, closeResult) => {
+                        try {
+                            st.close_finish(closeResult);
+                            resolve();
+                        } catch (e) {
+                            reject(e);
+                        }
+                    });
+                });
+            });
+        });
+    }
+
+    /**
+     * Rewrites the history file from the in-memory entries.
+     * @returns {Promise<void>} - A promise that resolves once the file is written.
+     */
+    async _rewrite() {
+        await this._ensureDirectory();
+
+        const text = this._entries.map(entry => `${JSON.stringify(entry)}\n`).join('');
+        await writeTextFile(this._file, text);
+        this._fileSize = new TextEncoder().encode(text).length;
+    }
+
+    /**
+     * Creates the data directory for the history file, once; a failed attempt is retried
+     * by the next write.
+     * @returns {Promise<void>} - A promise that resolves once the directory exists.
+     */
+    _ensureDirectory() {
+        this._directoryReady ??= makeDirectory(this._file.get_parent()).catch(e => {
+            this._directoryReady = null;
+            throw e;
+        });
+        return this._directoryReady;
+    }
+
+    /**
+     * Stops watching the history file.
+     */
+    destroy() {
+        if (this._monitor) {
+            this._monitor.disconnect(this._monitorChangedId);
+            this._monitor.cancel();
+            this._monitor = null;
+        }
+        this._onChanged = null;
+    }
+}
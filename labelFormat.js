@@ -0,0 +1,74 @@
+/*
+ * Spotify Controls Extension
+ * Copyright (C) 2024 Athanasios Raptis
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+// Placeholders understood by formatLabel, in the order they are documented
+export const LABEL_PLACEHOLDERS = ['artist', 'artists', 'title', 'album', 'track', 'position', 'length'];
+
+const PLACEHOLDER_REGEX = /\{(\w+)\}/g;
+const OPTIONAL_SECTION_REGEX = /\[([^[\]]*)\]/g;
+
+/**
+ * Replaces the placeholders of a single template section.
+ * @param {string} text - The section text.
+ * @param {Object} values - Placeholder values, keyed by placeholder name.
+ * @returns {{text: string, complete: boolean}} - The result and whether every placeholder had a value.
+ */
+function substitute(text, values) {
+    let complete = true;
+    let result = text.replace(PLACEHOLDER_REGEX, (match, name) => {
+        if (!LABEL_PLACEHOLDERS.includes(name)) {
+            return match;
+        }
+        let value = values[name];
+        if (value === undefined || value === null || String(value).trim() === '') {
+            complete = false;
+            return '';
+        }
+        return String(value);
+    });
+    return { text: result, complete };
+}
+
+/**
+ * Renders a track label template such as '{artist} - {title}[ ({album})]'.
+ * Placeholders without a value are left empty. Text in [square brackets] is
+ * only shown if every placeholder inside it has a value, so separators around
+ * optional fields can be dropped along with them.
+ * @param {string} template - The template string.
+ * @param {Object} values - Placeholder values, keyed by placeholder name.
+ * @returns {string} - The rendered label.
+ */
+export function formatLabel(template, values) {
+    let result = '';
+    let lastIndex = 0;
+
+    // Render plain text and [optional sections] separately, in a single pass,
+    // so that values containing brackets or braces are never re-interpreted
+    for (let match of template.matchAll(OPTIONAL_SECTION_REGEX)) {
+        result += substitute(template.slice(lastIndex, match.index), values).text;
+
+        let section = substitute(match[1], values);
+        if (section.complete) {
+            result += section.text;
+        }
+        lastIndex = match.index + match[0].length;
+    }
+    result += substitute(template.slice(lastIndex), values).text;
+
+    return result.replace(/\s+/g, ' ').trim();
+}
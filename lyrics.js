@@ -0,0 +1,406 @@
+/*
+ * Spotify Controls Extension
+ * Copyright (C) 2024 Athanasios Raptis
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+
+import { logDebug, logError, makeDirectory, readTextFile, writeTextFile } from './utils.js';
+
+// [mm:ss], [mm:ss.xx] or [mm:ss:xx] timestamps at the start of an LRC line
+const TIMESTAMP_REGEX = /\[(\d+):(\d{1,2})(?:[.:](\d{1,3}))?\]/g;
+const OFFSET_TAG_REGEX = /^\[offset:\s*([+-]?\d+)\s*\]/i;
+
+// Lowest similarity between a file name and "artist title" that still counts as a match
+const MATCH_THRESHOLD = 0.6;
+
+// How deep to look for .lrc files below the lyrics folder, e.g. Artist/Album/Title.lrc
+const MAX_FOLDER_DEPTH = 3;
+
+// How long a listing of the lyrics folder is reused before files added since are picked up (microseconds)
+const LISTING_MAX_AGE = 60 * 1000000;
+
+/**
+ * Returns the JSON file the per-track lyrics offsets are stored in,
+ * ~/.local/share/spotify-controls/lyrics-offsets.json.
+ * @returns {Gio.File} - The offsets file.
+ */
+export function getOffsetsFile() {
+    return Gio.File.new_for_path(GLib.build_filenamev([GLib.get_user_data_dir(), 'spotify-controls', 'lyrics-offsets.json']));
+}
+
+/**
+ * Parses the contents of the offsets file.
+ * @param {string} contents - The JSON text.
+ * @returns {Object} - Offsets keyed by offsetKey(), each {artist, title, offset} with offset in milliseconds.
+ */
+export function parseOffsets(contents) {
+    try {
+        let offsets = contents.trim() === '' ? {} : JSON.parse(contents);
+        return offsets && typeof offsets === 'object' && !Array.isArray(offsets) ? offsets : {};
+    } catch (e) {
+        logDebug(`Ignoring malformed lyrics offsets: ${e.message}`);
+        return {};
+    }
+}
+
+/**
+ * Returns the key a track's lyrics offset is stored under.
+ * @param {string} artist - The track artist.
+ * @param {string} title - The track title.
+ * @returns {string} - The key.
+ */
+export function offsetKey(artist, title) {
+    return `${normalizeName(artist)} - ${normalizeName(title)}`;
+}
+
+/**
+ * Normalizes an artist, title or file name for fuzzy comparison: lower case,
+ * no accents, no (bracketed) or " - Remastered" style suffixes, no punctuation.
+ * @param {string} name - The name to normalize.
+ * @returns {string} - The normalized name.
+ */
+export function normalizeName(name) {
+    return (name ?? '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/\([^)]*\)|\[[^\]]*\]/g, ' ')
+        .replace(/\s-\s[^-]*\b(remaster(ed)?|version|edit|live|mix|mono|stereo)\b[^-]*$/, ' ')
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+/**
+ * Parses LRC text into timed lines. Lines with several timestamps are repeated
+ * at each of them; lines without a timestamp (e.g. [ar:] tags) are skipped.
+ * @param {string} text - The LRC file contents.
+ * @returns {{lines: Array<{time: number, text: string}>, offset: number}} - The lines sorted
+ * by time in microseconds, and the file's [offset:] tag in milliseconds.
+ */
+export function parseLrc(text) {
+    let lines = [];
+    let offset = 0;
+
+    for (let rawLine of text.split(/\r?\n/)) {
+        let offsetMatch = OFFSET_TAG_REGEX.exec(rawLine.trim());
+        if (offsetMatch) {
+            offset = parseInt(offsetMatch[1]);
+            continue;
+        }
+
+        let times = [];
+        let textStart = 0;
+        TIMESTAMP_REGEX.lastIndex = 0;
+        let match;
+        // Only consecutive timestamps at the start of the line belong to it
+        while ((match = TIMESTAMP_REGEX.exec(rawLine)) !== null && match.index === textStart) {
+            let fraction = match[3] ? parseInt(match[3].padEnd(3, '0')) : 0;
+            times.push(((parseInt(match[1]) * 60 + parseInt(match[2])) * 1000 + fraction) * 1000);
+            textStart = TIMESTAMP_REGEX.lastIndex;
+        }
+
+        let lineText = rawLine.slice(textStart).trim();
+        for (let time of times) {
+            lines.push({ time, text: lineText });
+        }
+    }
+
+    lines.sort((a, b) => a.time - b.time);
+    return { lines, offset };
+}
+
+/**
+ * Finds the line that is sung at a given position.
+ * @param {Array<{time: number, text: string}>} lines - The lines, sorted by time.
+ * @param {number} position - The position in microseconds.
+ * @returns {number} - The index of the current line, or -1 before the first line.
+ */
+export function findLyricsLine(lines, position) {
+    let low = 0;
+    let high = lines.length - 1;
+    let index = -1;
+
+    while (low <= high) {
+        let middle = (low + high) >> 1;
+        if (lines[middle].time <= position) {
+            index = middle;
+            low = middle + 1;
+        } else {
+            high = middle - 1;
+        }
+    }
+    return index;
+}
+
+/**
+ * Returns the letter pairs of a string, for the Sørensen–Dice similarity.
+ * @param {string} text - The text.
+ * @returns {string[]} - The bigrams.
+ */
+function bigrams(text) {
+    let pairs = [];
+    for (let word of text.split(' ')) {
+        for (let i = 0; i < word.length - 1; i++) {
+            pairs.push(word.slice(i, i + 2));
+        }
+    }
+    return pairs;
+}
+
+/**
+ * Scores how well a lyrics file name matches a track.
+ * @param {string} candidate - The normalized file path, without extension.
+ * @param {string} artist - The normalized artist.
+ * @param {string} title - The normalized title.
+ * @returns {number} - The score, from 0 to 1.
+ */
+function matchScore(candidate, artist, title) {
+    let target = bigrams(`${artist} ${title}`);
+    let remaining = bigrams(candidate);
+    let total = target.length + remaining.length;
+    if (total === 0) {
+        return 0;
+    }
+
+    let shared = 0;
+    for (let pair of target) {
+        let index = remaining.indexOf(pair);
+        if (index !== -1) {
+            remaining.splice(index, 1);
+            shared++;
+        }
+    }
+    let score = 2 * shared / total;
+
+    // Files often leave out the artist, or put it in a folder name; a file named
+    // after the exact title is a good match either way
+    let words = ` ${candidate} `;
+    if (title !== '' && words.includes(` ${title} `)) {
+        score = Math.max(score, words.includes(` ${artist} `) ? 1 : 0.75);
+    }
+    return score;
+}
+
+/**
+ * LyricsLibrary Class
+ * Finds .lrc files for tracks in the 'lyrics-folder' directory and keeps the
+ * per-track offsets, which are shared with the preferences window through the offsets file.
+ */
+export class LyricsLibrary {
+    /**
+     * Constructor for LyricsLibrary.
+     * @param {Gio.Settings} settings - The settings object for the extension.
+     * @param {Function} onOffsetsChanged - Called when the offsets file changes.
+     */
+    constructor(settings, onOffsetsChanged) {
+        this._settings = settings;
+        this._onOffsetsChanged = onOffsetsChanged;
+        this._cancellable = new Gio.Cancellable();
+
+        // Paths of the .lrc files in the lyrics folder, and when they were listed
+        this._files = null;
+        this._filesListedAt = 0;
+        this._folderChangedId = this._settings.connect('changed::lyrics-folder', () => {
+            this._files = null;
+        });
+
+        this._offsets = {};
+        this._offsetsFile = getOffsetsFile();
+        // Writes are chained so quick nudges land in order, after the data directory is created
+        this._offsetsWrite = null;
+        this._offsetsMonitor = this._offsetsFile.monitor_file(Gio.FileMonitorFlags.NONE, null);
+        this._offsetsMonitorChangedId = this._offsetsMonitor.connect('changed', (monitor, file, otherFile, eventType) => {
+            if (eventType === Gio.FileMonitorEvent.CHANGES_DONE_HINT || eventType === Gio.FileMonitorEvent.DELETED) {
+                this._loadOffsets();
+            }
+        });
+        this._loadOffsets();
+    }
+
+    /**
+     * Looks for the lyrics of a track.
+     * @param {string} artist - The track artist.
+     * @param {string} title - The track title.
+     * @returns {Promise<{lines: Array<{time: number, text: string}>, offset: number}|null>} - The
+     * parsed lyrics, or null if the folder has no matching file.
+     */
+    async find(artist, title) {
+        let folder = this._settings.get_string('lyrics-folder');
+        if (folder === '' || !title) {
+            return null;
+        }
+
+        if (!this._files || GLib.get_monotonic_time() - this._filesListedAt > LISTING_MAX_AGE) {
+            try {
+                let root = Gio.File.new_for_path(folder);
+                this._files = await this._listLrcFiles(root, root, 0);
+                this._filesListedAt = GLib.get_monotonic_time();
+                logDebug(`Found ${this._files.length} lyrics files in ${folder}`);
+            } catch (e) {
+                if (!e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) {
+                    logError(e, `Failed to list lyrics folder ${folder}`);
+                }
+                return null;
+            }
+        }
+
+        let normalizedArtist = normalizeName(artist);
+        let normalizedTitle = normalizeName(title);
+        let best = null;
+        let bestScore = MATCH_THRESHOLD;
+
+        for (let { path, name } of this._files) {
+            let score = matchScore(name, normalizedArtist, normalizedTitle);
+            if (score >= bestScore) {
+                best = path;
+                bestScore = score;
+            }
+        }
+
+        if (!best) {
+            logDebug(`No lyrics for ${artist} - ${title}`);
+            return null;
+        }
+
+        logDebug(`Using lyrics ${best} for ${artist} - ${title}`);
+        try {
+            return parseLrc(await readTextFile(Gio.File.new_for_path(best)));
+        } catch (e) {
+            logError(e, `Failed to read lyrics ${best}`);
+            return null;
+        }
+    }
+
+    /**
+     * Lists the .lrc files below a folder, recursively up to MAX_FOLDER_DEPTH.
+     * @param {Gio.File} root - The lyrics folder.
+     * @param {Gio.File} dir - The folder to list.
+     * @param {number} depth - The depth of dir below root.
+     * @returns {Promise<Array<{path: string, name: string}>>} - The files, with their normalized
+     * path relative to the lyrics folder, without extension.
+     */
+    async _listLrcFiles(root, dir, depth) {
+        let infos = await new Promise((resolve, reject) => {
+            dir.enumerate_children_async(
+                'standard::name,standard::type',
+                Gio.FileQueryInfoFlags.NONE,
+                GLib.PRIORITY_LOW,
+                this._cancellable,
+                (d, result) => {
+                    let enumerator;
+                    try {
+                        enumerator = d.enumerate_children_finish(result);
+                    } catch (e) {
+                        reject(e);
+                        return;
+                    }
+
+                    let list = [];
+                    let nextBatch = () => {
+                        enumerator.next_files_async(100, GLib.PRIORITY_LOW, this._cancellable, (en, res) => {
+                            try {
+                                let batch = en.next_files_finish(res);
+                                if (batch.length === 0) {
+                                    en.close(null);
+                                    resolve(list);
+                                    return;
+                                }
+                                list.push(...batch);
+                                nextBatch();
+                            } catch (e) {
+                                reject(e);
+                            }
+                        });
+                    };
+                    nextBatch();
+                }
+            );
+        });
+
+        let files = [];
+        for (let info of infos) {
+            let child = dir.get_child(info.get_name());
+            if (info.get_file_type() === Gio.FileType.DIRECTORY) {
+                if (depth < MAX_FOLDER_DEPTH) {
+                    files.push(...await this._listLrcFiles(root, child, depth + 1));
+                }
+            } else if (info.get_name().toLowerCase().endsWith('.lrc')) {
+                let relativePath = root.get_relative_path(child).replace(/\.lrc$/i, '');
+                files.push({ path: child.get_path(), name: normalizeName(relativePath.replace(/\//g, ' ')) });
+            }
+        }
+        return files;
+    }
+
+    /**
+     * Returns the offset saved for a track.
+     * @param {string} artist - The track artist.
+     * @param {string} title - The track title.
+     * @returns {number} - The offset in milliseconds; positive values show lines earlier.
+     */
+    getOffset(artist, title) {
+        return this._offsets[offsetKey(artist, title)]?.offset ?? 0;
+    }
+
+    /**
+     * Saves the offset for a track. A zero offset removes the track from the file.
+     * @param {string} artist - The track artist.
+     * @param {string} title - The track title.
+     * @param {number} offset - The offset in milliseconds.
+     */
+    setOffset(artist, title, offset) {
+        let key = offsetKey(artist, title);
+        if (offset === 0) {
+            delete this._offsets[key];
+        } else {
+            this._offsets[key] = { artist, title, offset };
+        }
+
+        let text = `${JSON.stringify(this._offsets, null, 2)}\n`;
+        this._offsetsWrite = (this._offsetsWrite ?? makeDirectory(this._offsetsFile.get_parent()))
+            .then(() => writeTextFile(this._offsetsFile, text))
+            .catch(e => logError(e, 'Failed to save lyrics offsets'));
+    }
+
+    /**
+     * (Re)loads the offsets from the offsets file.
+     */
+    async _loadOffsets() {
+        try {
+            this._offsets = parseOffsets(await readTextFile(this._offsetsFile));
+            this._onOffsetsChanged?.();
+        } catch (e) {
+            logError(e, 'Failed to load lyrics offsets');
+        }
+    }
+
+    /**
+     * Stops listing the lyrics folder and watching the offsets file.
+     */
+    destroy() {
+        this._cancellable.cancel();
+        this._settings.disconnect(this._folderChangedId);
+
+        if (this._offsetsMonitor) {
+            this._offsetsMonitor.disconnect(this._offsetsMonitorChangedId);
+            this._offsetsMonitor.cancel();
+            this._offsetsMonitor = null;
+        }
+        this._onOffsetsChanged = null;
+    }
+}
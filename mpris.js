@@ -0,0 +1,617 @@
+/*
+ * Spotify Controls Extension
+ * Copyright (C) 2024 Athanasios Raptis
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+
+import { EventEmitter } from 'resource:///org/gnome/shell/misc/signals.js';
+
+import { logDebug, logError } from './utils.js';
+
+export const MPRIS_BUS_NAME_PREFIX = 'org.mpris.MediaPlayer2.'; // Every MPRIS player owns a name with this prefix
+export const SPOTIFY_BUS_NAME = 'org.mpris.MediaPlayer2.spotify'; // D-Bus bus name for Spotify
+const MPRIS_OBJECT_PATH = '/org/mpris/MediaPlayer2'; // Object path of every player's MPRIS interface
+const PLAYER_INTERFACE = 'org.mpris.MediaPlayer2.Player';
+const PROPERTIES_INTERFACE = 'org.freedesktop.DBus.Properties';
+
+// The parts of the MPRIS D-Bus interfaces the extension uses, see
+// https://specifications.freedesktop.org/mpris-spec/latest/
+const MEDIA_PLAYER2_XML = `
+<node>
+  <interface name="org.mpris.MediaPlayer2">
+    <method name="Raise"/>
+    <method name="Quit"/>
+    <property name="CanRaise" type="b" access="read"/>
+    <property name="CanQuit" type="b" access="read"/>
+    <property name="Identity" type="s" access="read"/>
+    <property name="DesktopEntry" type="s" access="read"/>
+  </interface>
+</node>`;
+
+const PLAYER_XML = `
+<node>
+  <interface name="org.mpris.MediaPlayer2.Player">
+    <method name="Next"/>
+    <method name="Previous"/>
+    <method name="Pause"/>
+    <method name="PlayPause"/>
+    <method name="Stop"/>
+    <method name="Play"/>
+    <method name="Seek">
+      <arg direction="in" type="x" name="Offset"/>
+    </method>
+    <method name="SetPosition">
+      <arg direction="in" type="o" name="TrackId"/>
+      <arg direction="in" type="x" name="Position"/>
+    </method>
+    <method name="OpenUri">
+      <arg direction="in" type="s" name="Uri"/>
+    </method>
+    <signal name="Seeked">
+      <arg type="x" name="Position"/>
+    </signal>
+    <property name="PlaybackStatus" type="s" access="read"/>
+    <property name="Metadata" type="a{sv}" access="read"/>
+    <property name="Volume" type="d" access="readwrite"/>
+    <property name="Position" type="x" access="read"/>
+    <property name="CanGoNext" type="b" access="read"/>
+    <property name="CanGoPrevious" type="b" access="read"/>
+    <property name="CanPlay" type="b" access="read"/>
+    <property name="CanPause" type="b" access="read"/>
+    <property name="CanSeek" type="b" access="read"/>
+    <property name="CanControl" type="b" access="read"/>
+  </interface>
+</node>`;
+
+const DBUS_XML = `
+<node>
+  <interface name="org.freedesktop.DBus">
+    <method name="ListNames">
+      <arg direction="out" type="as" name="names"/>
+    </method>
+    <signal name="NameOwnerChanged">
+      <arg type="s" name="name"/>
+      <arg type="s" name="oldOwner"/>
+      <arg type="s" name="newOwner"/>
+    </signal>
+  </interface>
+</node>`;
+
+const MediaPlayer2Proxy = Gio.DBusProxy.makeProxyWrapper(MEDIA_PLAYER2_XML);
+const PlayerProxy = Gio.DBusProxy.makeProxyWrapper(PLAYER_XML);
+const DBusProxy = Gio.DBusProxy.makeProxyWrapper(DBUS_XML);
+
+// Parameterless Player methods that sendCommand accepts
+const PLAYER_COMMANDS = ['Next', 'Previous', 'Pause', 'PlayPause', 'Stop', 'Play'];
+
+// Capability properties; a change to any of them emits 'capabilities-changed'
+const CAPABILITY_PROPERTIES = ['CanGoNext', 'CanGoPrevious', 'CanPlay', 'CanPause', 'CanSeek', 'CanControl'];
+
+// Spotify sometimes reports empty Metadata right after starting, so it is fetched again a few times
+const METADATA_RETRIES = 3;
+const METADATA_RETRY_DELAY = 500;
+
+/**
+ * Unpacks a value that may still be wrapped in a GLib.Variant.
+ * @param {any} value - The value to unpack.
+ * @returns {any} - The unpacked value.
+ */
+function unpack(value) {
+    return value instanceof GLib.Variant ? value.deep_unpack() : value;
+}
+
+/**
+ * Returns a trimmed string, or null for missing and blank values.
+ * @param {any} value - The metadata value.
+ * @returns {string|null} - The string, or null.
+ */
+function nonEmptyString(value) {
+    value = unpack(value);
+    return typeof value === 'string' && value.trim() !== '' ? value : null;
+}
+
+/**
+ * Normalizes MPRIS Metadata into a track object. Missing fields are null, 0 or empty.
+ * @param {Object} metadata - The Metadata dictionary; values may be GLib.Variants.
+ * @returns {{trackId: string|null, title: string|null, artists: string[], album: string|null,
+ *     trackNumber: number, length: number, artUrl: string|null, url: string|null, isPodcast: boolean,
+ *     isAd: boolean}} - The
+ *     track, with the length in microseconds.
+ */
+export function parseTrack(metadata = {}) {
+    let artists = unpack(metadata['xesam:artist']);
+    let trackId = nonEmptyString(metadata['mpris:trackid']);
+
+    return {
+        trackId,
+        title: nonEmptyString(metadata['xesam:title']),
+        artists: Array.isArray(artists) ? artists.map(unpack).filter(name => typeof name === 'string' && name.trim() !== '') : [],
+        album: nonEmptyString(metadata['xesam:album']),
+        trackNumber: Number(unpack(metadata['xesam:trackNumber'])) || 0,
+        length: Number(unpack(metadata['mpris:length'])) || 0,
+        artUrl: nonEmptyString(metadata['mpris:artUrl']),
+        url: nonEmptyString(metadata['xesam:url']),
+        // Spotify podcasts have a trackid of /com/spotify/episode
+        isPodcast: !!trackId && trackId.startsWith('/com/spotify/episode'),
+        // Spotify free tier ads have a trackid of /com/spotify/ad, or spotify:ad in older versions
+        isAd: !!trackId && (trackId.startsWith('/com/spotify/ad') || trackId.startsWith('spotify:ad')),
+    };
+}
+
+/**
+ * MprisPlayer Class
+ * One MPRIS media player on the session bus, through D-Bus proxies for the
+ * org.mpris.MediaPlayer2 and org.mpris.MediaPlayer2.Player interfaces.
+ * Properties are cached by the proxies; Position, which players don't announce,
+ * is kept up to date by Seeked and refreshPosition().
+ *
+ * Signals:
+ * - 'playback-status-changed' (status)
+ * - 'metadata-changed' (track, previousTrack)
+ * - 'volume-changed' (volume)
+ * - 'seeked' (position)
+ * - 'capabilities-changed'
+ */
+export class MprisPlayer extends EventEmitter {
+    /**
+     * Constructor for MprisPlayer. Call init() before using the player.
+     * @param {string} busName - The player's bus name, e.g. 'org.mpris.MediaPlayer2.spotify'.
+     * @param {Gio.DBusConnection} [bus] - The bus the player is on; defaults to the session bus.
+     */
+    constructor(busName, bus = Gio.DBus.session) {
+        super();
+
+        this.busName = busName;
+        this._bus = bus;
+        this.playbackStatus = 'Stopped';
+        this.track = parseTrack();
+        this.volume = null;
+        this.position = 0;
+
+        this._rootProxy = null;
+        this._playerProxy = null;
+        this._cancellable = new Gio.Cancellable();
+        this._retryTimeoutId = null;
+    }
+
+    /**
+     * The short player name, e.g. 'spotify' or 'vlc.instance1234'.
+     * @returns {string} - The bus name without the MPRIS prefix.
+     */
+    get name() {
+        return this.busName.slice(MPRIS_BUS_NAME_PREFIX.length);
+    }
+
+    /**
+     * The player's human-readable name, e.g. 'Spotify'.
+     * @returns {string} - The Identity property, or the short bus name.
+     */
+    get identity() {
+        return nonEmptyString(this._rootProxy?.Identity) ?? this.name.split('.')[0];
+    }
+
+    /**
+     * Whether this is the Spotify desktop client.
+     * @returns {boolean} - True for Spotify.
+     */
+    get isSpotify() {
+        return this.busName === SPOTIFY_BUS_NAME;
+    }
+
+    get canGoNext() {
+        return this._getCapability('CanGoNext');
+    }
+
+    get canGoPrevious() {
+        return this._getCapability('CanGoPrevious');
+    }
+
+    get canPlay() {
+        return this._getCapability('CanPlay');
+    }
+
+    get canPause() {
+        return this._getCapability('CanPause');
+    }
+
+    get canSeek() {
+        return this._getCapability('CanSeek');
+    }
+
+    get canControl() {
+        return this._getCapability('CanControl');
+    }
+
+    /**
+     * Reads a cached capability property. Players that don't report one are trusted to support it.
+     * @param {string} name - The property name, e.g. 'CanGoNext'.
+     * @returns {boolean} - The capability.
+     */
+    _getCapability(name) {
+        let value = this._playerProxy?.get_cached_property(name);
+        return value ? value.unpack() : true;
+    }
+
+    /**
+     * Connects to the player and loads its properties.
+     * @returns {Promise<void>} - A promise that resolves once the player is ready.
+     */
+    async init() {
+        let flags = Gio.DBusProxyFlags.DO_NOT_AUTO_START | Gio.DBusProxyFlags.GET_INVALIDATED_PROPERTIES;
+        [this._rootProxy, this._playerProxy] = await Promise.all([
+            MediaPlayer2Proxy.newAsync(this._bus, this.busName, MPRIS_OBJECT_PATH, this._cancellable, flags),
+            PlayerProxy.newAsync(this._bus, this.busName, MPRIS_OBJECT_PATH, this._cancellable, flags),
+        ]);
+
+        this._propertiesChangedId = this._playerProxy.connect('g-properties-changed', this._onPropertiesChanged.bind(this));
+        this._seekedId = this._playerProxy.connectSignal('Seeked', (proxy, sender, [position]) => {
+            this.position = position;
+            this.emit('seeked', position);
+        });
+
+        this.playbackStatus = this._playerProxy.PlaybackStatus ?? 'Stopped';
+        this.track = parseTrack(this._playerProxy.Metadata ?? {});
+        this.volume = this._playerProxy.Volume ?? null;
+
+        if (!this.track.title) {
+            await this._retryFetchMetadata();
+        }
+        await this.refreshPosition();
+    }
+
+    /**
+     * Handler for the proxy's g-properties-changed signal.
+     * Updates the cached state and emits the matching signals.
+     * @param {Gio.DBusProxy} proxy - The player proxy.
+     * @param {GLib.Variant} changed - The changed properties, a{sv}.
+     */
+    _onPropertiesChanged(proxy, changed) {
+        let changedProps = changed.deep_unpack();
+
+        if (changedProps.PlaybackStatus) {
+            this.playbackStatus = changedProps.PlaybackStatus.unpack();
+            logDebug(`${this.busName} PlaybackStatus changed to ${this.playbackStatus}`);
+            this.emit('playback-status-changed', this.playbackStatus);
+        }
+
+        if (changedProps.Metadata) {
+            this._setTrack(parseTrack(changedProps.Metadata.deep_unpack()));
+        }
+
+        if (changedProps.Volume) {
+            this.volume = changedProps.Volume.unpack();
+            this.emit('volume-changed', this.volume);
+        }
+
+        if (CAPABILITY_PROPERTIES.some(name => name in changedProps)) {
+            this.emit('capabilities-changed');
+        }
+    }
+
+    /**
+     * Stores a new track and emits 'metadata-changed'.
+     * @param {Object} track - The track, from parseTrack().
+     */
+    _setTrack(track) {
+        let previousTrack = this.track;
+        this.track = track;
+        logDebug(`${this.busName} Metadata changed: ${JSON.stringify(track)}`);
+        this.emit('metadata-changed', track, previousTrack);
+    }
+
+    /**
+     * Fetches Metadata again until it has a title, for players that report it late.
+     */
+    async _retryFetchMetadata() {
+        for (let i = 0; i < METADATA_RETRIES; i++) {
+            await new Promise(resolve => {
+                this._retryTimeoutId = setTimeout(() => {
+                    this._retryTimeoutId = null;
+                    resolve();
+                }, METADATA_RETRY_DELAY);
+            });
+            if (this._cancellable.is_cancelled()) {
+                return;
+            }
+
+            try {
+                let track = parseTrack((await this._getProperty('Metadata')).deep_unpack());
+                if (track.title) {
+                    this._setTrack(track);
+                    logDebug('Successfully fetched valid Metadata on retry');
+                    return;
+                }
+            } catch (e) {
+                logError(e, 'Retry fetching Metadata failed');
+            }
+        }
+        logDebug('Failed to fetch valid Metadata after retries');
+    }
+
+    /**
+     * Reads a Player property from the player itself, bypassing the proxy's cache.
+     * @param {string} name - The property name.
+     * @returns {Promise<GLib.Variant>} - The property value.
+     */
+    _getProperty(name) {
+        return this._callProperties('Get', new GLib.Variant('(ss)', [PLAYER_INTERFACE, name]))
+            .then(result => result.deep_unpack()[0]);
+    }
+
+    /**
+     * Calls a method of the org.freedesktop.DBus.Properties interface of the player.
+     * @param {string} method - 'Get' or 'Set'.
+     * @param {GLib.Variant} parameters - The method parameters.
+     * @param {Gio.Cancellable|null} [cancellable] - Cancels the call; defaults to the player's.
+     * @returns {Promise<GLib.Variant>} - The reply.
+     */
+    _callProperties(method, parameters, cancellable = this._cancellable) {
+        return new Promise((resolve, reject) => {
+            this._playerProxy.g_connection.call(
+                this.busName,
+                MPRIS_OBJECT_PATH,
+                PROPERTIES_INTERFACE,
+                method,
+                parameters,
+                null,
+                Gio.DBusCallFlags.NONE,
+                -1,
+                cancellable,
+                (connection, result) => {
+                    try {
+                        resolve(connection.call_finish(result));
+                    } catch (e) {
+                        reject(e);
+                    }
+                }
+            );
+        });
+    }
+
+    /**
+     * Fetches the current Position. Players that don't implement it are left at 0.
+     * @returns {Promise<number>} - The position in microseconds.
+     */
+    async refreshPosition() {
+        try {
+            this.position = (await this._getProperty('Position')).unpack();
+        } catch (e) {
+            logDebug(`Could not fetch Position of ${this.busName}: ${e.message}`);
+        }
+        return this.position;
+    }
+
+    /**
+     * Sends a parameterless Player command.
+     * @param {string} command - 'Next', 'Previous', 'Pause', 'PlayPause', 'Stop' or 'Play'.
+     * @returns {Promise<void>} - A promise that resolves when the player accepted the command.
+     */
+    async sendCommand(command) {
+        if (!PLAYER_COMMANDS.includes(command)) {
+            throw new Error(`Unknown MPRIS command '${command}'`);
+        }
+        await this._playerProxy[`${command}Async`]();
+    }
+
+    /**
+     * Seeks relative to the current position.
+     * @param {number} offset - The offset in microseconds; negative values seek backwards.
+     * @returns {Promise<void>} - A promise that resolves when the player accepted the command.
+     */
+    async seek(offset) {
+        await this._playerProxy.SeekAsync(Math.round(offset));
+    }
+
+    /**
+     * Jumps to an absolute position in the current track. SetPosition needs the
+     * track id; tracks without one fall back to a relative Seek.
+     * @param {number} position - The target position in microseconds.
+     * @returns {Promise<void>} - A promise that resolves when the player accepted the command.
+     */
+    async setPosition(position) {
+        position = Math.max(0, Math.round(position));
+        let offset = position - this.position;
+        this.position = position;
+
+        if (this.track.trackId) {
+            await this._playerProxy.SetPositionAsync(this.track.trackId, position);
+        } else {
+            await this.seek(offset);
+        }
+    }
+
+    /**
+     * Opens and plays a URI, e.g. 'spotify:track:…'.
+     * @param {string} uri - The URI.
+     * @returns {Promise<void>} - A promise that resolves when the player accepted the command.
+     */
+    async openUri(uri) {
+        await this._playerProxy.OpenUriAsync(uri);
+    }
+
+    /**
+     * Sets the Volume. The cached volume changes right away and 'volume-changed'
+     * is emitted, so quick successive changes build on each other. The call isn't
+     * cancelled by destroy(), so a volume restored while shutting down still arrives.
+     * @param {number} volume - The new volume, from 0 to 1.
+     * @returns {Promise<void>} - A promise that resolves when the volume is set.
+     */
+    async setVolume(volume) {
+        this.volume = Math.min(Math.max(volume, 0), 1);
+        this.emit('volume-changed', this.volume);
+
+        await this._callProperties('Set', new GLib.Variant('(ssv)', [
+            PLAYER_INTERFACE, 'Volume', new GLib.Variant('d', this.volume),
+        ]), null);
+    }
+
+    /**
+     * Asks the player to bring its window to the foreground.
+     * @returns {Promise<void>} - A promise that resolves when the player accepted the command.
+     */
+    async raise() {
+        await this._rootProxy.RaiseAsync();
+    }
+
+    /**
+     * Disconnects from the player and cancels pending calls.
+     */
+    destroy() {
+        this._cancellable.cancel();
+
+        if (this._retryTimeoutId) {
+            clearTimeout(this._retryTimeoutId);
+            this._retryTimeoutId = null;
+        }
+
+        if (this._playerProxy) {
+            if (this._propertiesChangedId) {
+                this._playerProxy.disconnect(this._propertiesChangedId);
+            }
+            if (this._seekedId) {
+                this._playerProxy.disconnectSignal(this._seekedId);
+            }
+            this._playerProxy = null;
+        }
+        this._rootProxy = null;
+        this.disconnectAll();
+    }
+}
+
+/**
+ * MprisWatcher Class
+ * Watches the session bus for MPRIS players appearing and vanishing, and
+ * keeps an initialized MprisPlayer for each of them.
+ *
+ * Signals:
+ * - 'player-added' (player)
+ * - 'player-removed' (player)
+ */
+export class MprisWatcher extends EventEmitter {
+    /**
+     * Constructor for MprisWatcher. Call start() to begin watching.
+     * @param {Gio.DBusConnection} [bus] - The bus to watch, e.g. a private test bus;
+     *     defaults to the session bus.
+     */
+    constructor(bus = Gio.DBus.session) {
+        super();
+
+        this._bus = bus;
+
+        // Every MPRIS player on the bus, keyed by bus name
+        this.players = new Map();
+
+        this._dbusProxy = null;
+        this._cancellable = new Gio.Cancellable();
+    }
+
+    /**
+     * Lists the players that are already running and watches NameOwnerChanged
+     * for players that appear or vanish later on.
+     */
+    async start() {
+        try {
+            this._dbusProxy = await DBusProxy.newAsync(this._bus, 'org.freedesktop.DBus', '/org/freedesktop/DBus', this._cancellable);
+            this._nameOwnerChangedId = this._dbusProxy.connectSignal('NameOwnerChanged', (proxy, sender, [name, oldOwner, newOwner]) => {
+                if (!name.startsWith(MPRIS_BUS_NAME_PREFIX)) {
+                    return;
+                }
+                if (oldOwner) {
+                    this._onPlayerVanished(name);
+                }
+                if (newOwner) {
+                    this._onPlayerAppeared(name);
+                }
+            });
+
+            let [names] = await this._dbusProxy.ListNamesAsync();
+            names.filter(name => name.startsWith(MPRIS_BUS_NAME_PREFIX))
+                .forEach(name => this._onPlayerAppeared(name));
+        } catch (e) {
+            if (!e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) {
+                logError(e, 'Failed to watch for MPRIS players');
+            }
+        }
+    }
+
+    /**
+     * Callback function when an MPRIS player appears on the D-Bus.
+     * @param {string} busName - The player's bus name.
+     */
+    async _onPlayerAppeared(busName) {
+        if (this.players.has(busName)) {
+            return;
+        }
+        logDebug(`${busName} appeared on D-Bus`);
+
+        let player = new MprisPlayer(busName, this._bus);
+        this.players.set(busName, player);
+
+        try {
+            await player.init();
+        } catch (e) {
+            if (!e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) {
+                logError(e, `Failed to connect to ${busName}`);
+            }
+            if (this.players.get(busName) === player) {
+                this.players.delete(busName);
+            }
+            player.destroy();
+            return;
+        }
+
+        // The player may have vanished while connecting
+        if (this.players.get(busName) === player) {
+            this.emit('player-added', player);
+        }
+    }
+
+    /**
+     * Callback function when an MPRIS player vanishes from the D-Bus.
+     * @param {string} busName - The player's bus name.
+     */
+    _onPlayerVanished(busName) {
+        let player = this.players.get(busName);
+        if (!player) {
+            return;
+        }
+        logDebug(`${busName} vanished from D-Bus`);
+
+        this.players.delete(busName);
+        this.emit('player-removed', player);
+        player.destroy();
+    }
+
+    /**
+     * Stops watching and disconnects from every player.
+     */
+    destroy() {
+        this._cancellable.cancel();
+
+        if (this._dbusProxy && this._nameOwnerChangedId) {
+            this._dbusProxy.disconnectSignal(this._nameOwnerChangedId);
+        }
+        this._dbusProxy = null;
+
+        for (let player of this.players.values()) {
+            player.destroy();
+        }
+        this.players.clear();
+        this.disconnectAll();
+    }
+}
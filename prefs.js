@@ -17,10 +17,52 @@
  */
 
 import Adw from 'gi://Adw';
+import Gdk from 'gi://Gdk';
 import Gtk from 'gi://Gtk';
 import Gio from 'gi://Gio';
 import GObject from 'gi://GObject';
-import { ExtensionPreferences, gettext as _ } from 'resource:///org/gnome/Shell/Extensions/js/extensions/prefs.js';
+import { ExtensionPreferences, gettext as _, ngettext } from 'resource:///org/gnome/Shell/Extensions/js/extensions/prefs.js';
+
+import { formatLabel, LABEL_PLACEHOLDERS } from './labelFormat.js';
+import { getHistoryFile, historyToCsv, historyToJson, parseHistory } from './history.js';
+import { getOffsetsFile, parseOffsets } from './lyrics.js';
+import { getBookmarks, setBookmarks, addBookmarks, parseBookmarks, bookmarksToJson } from './bookmarks.js';
+import { isSpotifyUri, linkToUri } from './spotifyUri.js';
+import { logError, readTextFile, writeTextFile } from './utils.js';
+
+// Sample tracks used for the live label previews
+const SAMPLE_TRACK = {
+    artist: 'Daft Punk',
+    artists: 'Daft Punk, Pharrell Williams',
+    title: 'Get Lucky',
+    album: 'Random Access Memories',
+    track: 8,
+    position: '1:23',
+    length: '6:09',
+};
+
+// GNOME's own keybinding schemas, checked for shortcut conflicts
+const SYSTEM_KEYBINDING_SCHEMAS = [
+    'org.gnome.desktop.wm.keybindings',
+    'org.gnome.shell.keybindings',
+    'org.gnome.mutter.keybindings',
+    'org.gnome.mutter.wayland.keybindings',
+    'org.gnome.settings-daemon.plugins.media-keys',
+];
+
+// Range of the XF86 multimedia keysyms, which work as shortcuts without a modifier
+const XF86_KEYSYM_FIRST = 0x1008FF00;
+const XF86_KEYSYM_LAST = 0x1008FFFF;
+
+const SAMPLE_EPISODE = {
+    artist: 'The Daily',
+    artists: 'The Daily',
+    title: 'A Big Week in Washington',
+    album: 'The Daily',
+    track: null,
+    position: '12:05',
+    length: '25:40',
+};
 
 /**
  * Define the PositionItem GObject class for Indicator Position choices.
@@ -58,6 +100,114 @@ const ControlsPositionItem = GObject.registerClass(
     }
 );
 
+/**
+ * Define the PlayerSelectionModeItem GObject class for Followed Player choices.
+ */
+const PlayerSelectionModeItem = GObject.registerClass(
+    {
+        GTypeName: 'SpotifyControlsPlayerSelectionModeItem',
+        Properties: {
+            'title': GObject.ParamSpec.string('title', 'Title', 'Title', GObject.ParamFlags.READWRITE, ''),
+            'value': GObject.ParamSpec.string('value', 'Value', 'Value', GObject.ParamFlags.READWRITE, ''),
+        },
+    },
+    class PlayerSelectionModeItem extends GObject.Object {
+        _init(props = {}) {
+            super._init(props);
+        }
+    }
+);
+
+/**
+ * Define the GestureActionItem GObject class for Mouse Gesture action choices.
+ */
+const GestureActionItem = GObject.registerClass(
+    {
+        GTypeName: 'SpotifyControlsGestureActionItem',
+        Properties: {
+            'title': GObject.ParamSpec.string('title', 'Title', 'Title', GObject.ParamFlags.READWRITE, ''),
+            'value': GObject.ParamSpec.string('value', 'Value', 'Value', GObject.ParamFlags.READWRITE, ''),
+        },
+    },
+    class GestureActionItem extends GObject.Object {
+        _init(props = {}) {
+            super._init(props);
+        }
+    }
+);
+
+/**
+ * Define the PanelCoverArtItem GObject class for Album Art in Top Bar choices.
+ */
+const PanelCoverArtItem = GObject.registerClass(
+    {
+        GTypeName: 'SpotifyControlsPanelCoverArtItem',
+        Properties: {
+            'title': GObject.ParamSpec.string('title', 'Title', 'Title', GObject.ParamFlags.READWRITE, ''),
+            'value': GObject.ParamSpec.string('value', 'Value', 'Value', GObject.ParamFlags.READWRITE, ''),
+        },
+    },
+    class PanelCoverArtItem extends GObject.Object {
+        _init(props = {}) {
+            super._init(props);
+        }
+    }
+);
+
+/**
+ * Define the LabelWidthUnitItem GObject class for Maximum Width Unit choices.
+ */
+const LabelWidthUnitItem = GObject.registerClass(
+    {
+        GTypeName: 'SpotifyControlsLabelWidthUnitItem',
+        Properties: {
+            'title': GObject.ParamSpec.string('title', 'Title', 'Title', GObject.ParamFlags.READWRITE, ''),
+            'value': GObject.ParamSpec.string('value', 'Value', 'Value', GObject.ParamFlags.READWRITE, ''),
+        },
+    },
+    class LabelWidthUnitItem extends GObject.Object {
+        _init(props = {}) {
+            super._init(props);
+        }
+    }
+);
+
+/**
+ * Define the LabelOverflowItem GObject class for Long Title Behavior choices.
+ */
+const LabelOverflowItem = GObject.registerClass(
+    {
+        GTypeName: 'SpotifyControlsLabelOverflowItem',
+        Properties: {
+            'title': GObject.ParamSpec.string('title', 'Title', 'Title', GObject.ParamFlags.READWRITE, ''),
+            'value': GObject.ParamSpec.string('value', 'Value', 'Value', GObject.ParamFlags.READWRITE, ''),
+        },
+    },
+    class LabelOverflowItem extends GObject.Object {
+        _init(props = {}) {
+            super._init(props);
+        }
+    }
+);
+
+/**
+ * Define the CopyFormatItem GObject class for Copy Shortcut choices.
+ */
+const CopyFormatItem = GObject.registerClass(
+    {
+        GTypeName: 'SpotifyControlsCopyFormatItem',
+        Properties: {
+            'title': GObject.ParamSpec.string('title', 'Title', 'Title', GObject.ParamFlags.READWRITE, ''),
+            'value': GObject.ParamSpec.string('value', 'Value', 'Value', GObject.ParamFlags.READWRITE, ''),
+        },
+    },
+    class CopyFormatItem extends GObject.Object {
+        _init(props = {}) {
+            super._init(props);
+        }
+    }
+);
+
 /**
  * SpotifyControlsPrefs class handles the preferences window for the extension.
  */
@@ -74,7 +224,10 @@ export default class SpotifyControlsPrefs extends ExtensionPreferences {
         window.set_title(_('Spotify Controls Preferences'));
 
         // Create the main preferences page
-        const page = new Adw.PreferencesPage();
+        const page = new Adw.PreferencesPage({
+            title: _('General'),
+            icon_name: 'preferences-system-symbolic',
+        });
 
         /**
          * GENERAL SETTINGS GROUP
@@ -96,6 +249,7 @@ export default class SpotifyControlsPrefs extends ExtensionPreferences {
             new PositionItem({ title: _('Leftmost Right'),   value: 'leftmost-right' }),
             new PositionItem({ title: _('Mid Right'),        value: 'mid-right' }),
             new PositionItem({ title: _('Far Right'),        value: 'far-right' }),
+            new PositionItem({ title: _('Quick Settings'),   value: 'quick-settings' }),
         ];
 
         const positionStore = new Gio.ListStore({ item_type: PositionItem });
@@ -103,7 +257,7 @@ export default class SpotifyControlsPrefs extends ExtensionPreferences {
 
         const positionComboRow = new Adw.ComboRow({
             title: _('Indicator Position'),
-            subtitle: _('Select the position of the Spotify controls in the top bar'),
+            subtitle: _('Select the position of the Spotify controls in the top bar, or show them as a Quick Settings tile'),
             model: positionStore,
             expression: Gtk.PropertyExpression.new(PositionItem, null, 'title'),
         });
@@ -155,11 +309,112 @@ export default class SpotifyControlsPrefs extends ExtensionPreferences {
         generalGroup.add(controlsPositionComboRow);
 
         /**
-         * ENABLE VOLUME CONTROL TOGGLE
+         * MINIMIZE ON SECOND CLICK TOGGLE
+         */
+        const minimizeOnSecondClickSwitch = new Adw.SwitchRow({
+            title: _('Minimize on Second Click'),
+            subtitle: _('If true, clicking the extension again minimizes Spotify if it is already in the foreground.'),
+            activatable: true,
+            active: settings.get_boolean('minimize-on-second-click'),
+        });
+
+        // Bind to the new key
+        settings.bind(
+            'minimize-on-second-click',
+            minimizeOnSecondClickSwitch,
+            'active',
+            Gio.SettingsBindFlags.DEFAULT
+        );
+
+        generalGroup.add(minimizeOnSecondClickSwitch);
+
+        /**
+         * OVERVIEW SEARCH TOGGLE
+         */
+        const searchProviderSwitch = new Adw.SwitchRow({
+            title: _('Search from the Overview'),
+            subtitle: _('Find the current track, bookmarks and recent tracks in the Activities overview, and type "next", "pause" or "vol 40" to control playback'),
+            activatable: true,
+            active: settings.get_boolean('search-provider'),
+        });
+
+        settings.bind(
+            'search-provider',
+            searchProviderSwitch,
+            'active',
+            Gio.SettingsBindFlags.DEFAULT
+        );
+
+        generalGroup.add(searchProviderSwitch);
+
+        // Add the general group to the main page
+        page.add(generalGroup);
+
+        /**
+         * MOUSE GESTURES GROUP
+         */
+        const gesturesGroup = new Adw.PreferencesGroup({
+            title: _('Mouse Gestures'),
+            description: _('Choose what clicking and scrolling on the indicator does'),
+        });
+
+        const gestureActions = [
+            new GestureActionItem({ title: _('None'),                  value: 'none' }),
+            new GestureActionItem({ title: _('Play/Pause'),            value: 'play-pause' }),
+            new GestureActionItem({ title: _('Next Track'),            value: 'next' }),
+            new GestureActionItem({ title: _('Previous Track'),        value: 'previous' }),
+            new GestureActionItem({ title: _('Volume Up'),             value: 'volume-up' }),
+            new GestureActionItem({ title: _('Volume Down'),           value: 'volume-down' }),
+            new GestureActionItem({ title: _('Seek Forward'),          value: 'seek-forward' }),
+            new GestureActionItem({ title: _('Seek Backward'),         value: 'seek-backward' }),
+            new GestureActionItem({ title: _('Raise Window'),          value: 'raise-window' }),
+            new GestureActionItem({ title: _('Open Now-Playing Menu'), value: 'open-menu' }),
+            new GestureActionItem({ title: _('Copy Current Track'),    value: 'copy-track' }),
+        ];
+
+        const gestureActionStore = new Gio.ListStore({ item_type: GestureActionItem });
+        gestureActions.forEach(action => gestureActionStore.append(action));
+
+        /**
+         * Adds a combo row choosing the action of one gesture.
+         * @param {Adw.PreferencesGroup} group - The group to add the row to.
+         * @param {string} key - The 'gesture-*' settings key.
+         * @param {string} title - The row title.
+         * @returns {Adw.ComboRow} - The new row.
+         */
+        const addGestureRow = (group, key, title) => {
+            const row = new Adw.ComboRow({
+                title,
+                model: gestureActionStore,
+                expression: Gtk.PropertyExpression.new(GestureActionItem, null, 'title'),
+            });
+
+            const currentAction = settings.get_string(key);
+            const actionIndex = gestureActions.findIndex(action => action.value === currentAction);
+            row.set_selected(actionIndex >= 0 ? actionIndex : 0);
+
+            row.connect('notify::selected', () => {
+                const selectedItem = gestureActionStore.get_item(row.get_selected());
+                if (selectedItem) {
+                    settings.set_string(key, selectedItem.value);
+                }
+            });
+
+            group.add(row);
+            return row;
+        };
+
+        addGestureRow(gesturesGroup, 'gesture-left-click', _('Left Click on Track Info'));
+        addGestureRow(gesturesGroup, 'gesture-double-click', _('Double Click on Track Info'));
+        addGestureRow(gesturesGroup, 'gesture-middle-click', _('Middle Click'));
+        addGestureRow(gesturesGroup, 'gesture-right-click', _('Right Click'));
+
+        /**
+         * ENABLE SCROLL ACTIONS TOGGLE
          */
         const enableVolumeControlSwitch = new Adw.SwitchRow({
-            title: _('Enable Volume Control'),
-            subtitle: _('Toggle the volume control feature using the scroll wheel over the song title'),
+            title: _('Enable Scroll Actions'),
+            subtitle: _('Run the actions below when scrolling over the indicator, e.g. to change the volume'),
             activatable: true,
             active: settings.get_boolean('enable-volume-control'),
         });
@@ -171,49 +426,129 @@ export default class SpotifyControlsPrefs extends ExtensionPreferences {
             Gio.SettingsBindFlags.DEFAULT
         );
 
-        generalGroup.add(enableVolumeControlSwitch);
+        gesturesGroup.add(enableVolumeControlSwitch);
+
+        const scrollRows = [
+            addGestureRow(gesturesGroup, 'gesture-scroll-up', _('Scroll Up')),
+            addGestureRow(gesturesGroup, 'gesture-scroll-down', _('Scroll Down')),
+            addGestureRow(gesturesGroup, 'gesture-scroll-left', _('Scroll Left')),
+            addGestureRow(gesturesGroup, 'gesture-scroll-right', _('Scroll Right')),
+        ];
+        scrollRows.forEach(row => enableVolumeControlSwitch.bind_property('active', row, 'sensitive', GObject.BindingFlags.SYNC_CREATE));
+
+        page.add(gesturesGroup);
 
         /**
-         * ENABLE MIDDLE CLICK TOGGLE
+         * VOLUME GROUP
          */
-        const enableMiddleClickSwitch = new Adw.SwitchRow({
-            title: _('Enable Middle Click Play/Pause'),
-            subtitle: _('Allows toggling the current track with a middle-click on the extension.'),
+        const volumeGroup = new Adw.PreferencesGroup({
+            title: _('Volume'),
+        });
+
+        const volumeStepRow = new Adw.SpinRow({
+            title: _('Volume Step (%)'),
+            subtitle: _('How much each scroll step or shortcut changes the volume'),
+            adjustment: new Gtk.Adjustment({ lower: 1, upper: 50, step_increment: 1 }),
+        });
+
+        settings.bind(
+            'volume-step',
+            volumeStepRow,
+            'value',
+            Gio.SettingsBindFlags.DEFAULT
+        );
+
+        volumeGroup.add(volumeStepRow);
+
+        const showVolumeOsdSwitch = new Adw.SwitchRow({
+            title: _('Show Volume OSD'),
+            subtitle: _('Show the volume level on screen when it changes'),
             activatable: true,
-            active: settings.get_boolean('enable-middle-click'),
+            active: settings.get_boolean('show-volume-osd'),
         });
 
         settings.bind(
-            'enable-middle-click',
-            enableMiddleClickSwitch,
+            'show-volume-osd',
+            showVolumeOsdSwitch,
             'active',
             Gio.SettingsBindFlags.DEFAULT
         );
 
-        generalGroup.add(enableMiddleClickSwitch);
+        volumeGroup.add(showVolumeOsdSwitch);
+        page.add(volumeGroup);
 
         /**
-         * MINIMIZE ON SECOND CLICK TOGGLE
+         * SLEEP TIMER GROUP
          */
-        const minimizeOnSecondClickSwitch = new Adw.SwitchRow({
-            title: _('Minimize on Second Click'),
-            subtitle: _('If true, clicking the extension again minimizes Spotify if it is already in the foreground.'),
+        const sleepTimerGroup = new Adw.PreferencesGroup({
+            title: _('Sleep Timer'),
+            description: _('Start the sleep timer from the indicator menu'),
+        });
+
+        const sleepTimerFadeRow = new Adw.SpinRow({
+            title: _('Fade-Out Duration (seconds)'),
+            subtitle: _('How long the volume fades out before playback pauses'),
+            adjustment: new Gtk.Adjustment({ lower: 0, upper: 600, step_increment: 5 }),
+        });
+
+        settings.bind(
+            'sleep-timer-fade',
+            sleepTimerFadeRow,
+            'value',
+            Gio.SettingsBindFlags.DEFAULT
+        );
+
+        sleepTimerGroup.add(sleepTimerFadeRow);
+
+        const sleepTimerInPanelSwitch = new Adw.SwitchRow({
+            title: _('Show Countdown in Top Bar'),
+            subtitle: _('Show the remaining time of a running sleep timer next to the track info'),
             activatable: true,
-            active: settings.get_boolean('minimize-on-second-click'),
+            active: settings.get_boolean('sleep-timer-in-panel'),
         });
 
-        // Bind to the new key
         settings.bind(
-            'minimize-on-second-click',
-            minimizeOnSecondClickSwitch,
+            'sleep-timer-in-panel',
+            sleepTimerInPanelSwitch,
             'active',
             Gio.SettingsBindFlags.DEFAULT
         );
 
-        generalGroup.add(minimizeOnSecondClickSwitch);
+        sleepTimerGroup.add(sleepTimerInPanelSwitch);
+        page.add(sleepTimerGroup);
 
-        // Add the general group to the main page
-        page.add(generalGroup);
+        /**
+         * LOCK AND SUSPEND GROUP
+         */
+        const lockGroup = new Adw.PreferencesGroup({
+            title: _('Lock and Suspend'),
+        });
+
+        const lockSwitches = [
+            ['pause-on-lock', _('Pause on Screen Lock'), _('Pause playback when the screen locks')],
+            ['pause-on-suspend', _('Pause on Suspend'), _('Pause playback before the system suspends')],
+            ['resume-after-auto-pause', _('Resume Afterwards'), _('Resume on unlock or wake-up, but only if playback was paused by the options above')],
+        ];
+
+        for (const [key, title, subtitle] of lockSwitches) {
+            const row = new Adw.SwitchRow({
+                title,
+                subtitle,
+                activatable: true,
+                active: settings.get_boolean(key),
+            });
+
+            settings.bind(
+                key,
+                row,
+                'active',
+                Gio.SettingsBindFlags.DEFAULT
+            );
+
+            lockGroup.add(row);
+        }
+
+        page.add(lockGroup);
 
         /**
          * DISPLAY OPTIONS GROUP
@@ -260,6 +595,38 @@ export default class SpotifyControlsPrefs extends ExtensionPreferences {
 
         displayGroup.add(showSpotifyIconSwitch);
 
+        /**
+         * ALBUM ART IN TOP BAR SECTION
+         */
+        const coverArtModes = [
+            new PanelCoverArtItem({ title: _('Off'),                value: 'off' }),
+            new PanelCoverArtItem({ title: _('Replace Spotify Icon'), value: 'replace-logo' }),
+            new PanelCoverArtItem({ title: _('Next to Spotify Icon'), value: 'next-to-logo' }),
+        ];
+
+        const coverArtStore = new Gio.ListStore({ item_type: PanelCoverArtItem });
+        coverArtModes.forEach(mode => coverArtStore.append(mode));
+
+        const coverArtComboRow = new Adw.ComboRow({
+            title: _('Album Art in Top Bar'),
+            subtitle: _('Show a small album art thumbnail in the top bar'),
+            model: coverArtStore,
+            expression: Gtk.PropertyExpression.new(PanelCoverArtItem, null, 'title'),
+        });
+
+        const currentCoverArtMode = settings.get_string('panel-cover-art');
+        const coverArtIndex = coverArtModes.findIndex(mode => mode.value === currentCoverArtMode);
+        coverArtComboRow.set_selected(coverArtIndex >= 0 ? coverArtIndex : 0);
+
+        coverArtComboRow.connect('notify::selected', (row) => {
+            const selectedItem = coverArtStore.get_item(row.get_selected());
+            if (selectedItem) {
+                settings.set_string('panel-cover-art', selectedItem.value);
+            }
+        });
+
+        displayGroup.add(coverArtComboRow);
+
         /**
          * SHOW ARTIST/TRACK INFO TOGGLE
          */
@@ -279,11 +646,1354 @@ export default class SpotifyControlsPrefs extends ExtensionPreferences {
 
         displayGroup.add(showTrackInfoSwitch);
 
+        /**
+         * SHOW TRACK TIME TOGGLE
+         */
+        const showTrackTimeSwitch = new Adw.SwitchRow({
+            title: _('Show Track Time'),
+            subtitle: _('Show the elapsed and total time of the current track next to the track info'),
+            activatable: true,
+            active: settings.get_boolean('show-track-time'),
+        });
+
+        settings.bind(
+            'show-track-time',
+            showTrackTimeSwitch,
+            'active',
+            Gio.SettingsBindFlags.DEFAULT
+        );
+
+        displayGroup.add(showTrackTimeSwitch);
+
         // Add the display group to the page
         page.add(displayGroup);
 
-        // Finally, add the page to the window and show
-        window.add(page);
-        window.show();
+        /**
+         * TRACK LABEL GROUP
+         */
+        const labelGroup = new Adw.PreferencesGroup({
+            title: _('Track Label'),
+            description: `${_('Available placeholders:')} ${LABEL_PLACEHOLDERS.map(name => `{${name}}`).join(', ')}. ` +
+                _('Text in [square brackets] is hidden when a placeholder inside it has no value.'),
+        });
+
+        this._addLabelFormatRows(labelGroup, settings, 'label-format', _('Music Format'), SAMPLE_TRACK);
+        this._addLabelFormatRows(labelGroup, settings, 'podcast-label-format', _('Podcast Format'), SAMPLE_EPISODE);
+
+        page.add(labelGroup);
+
+        /**
+         * LONG TITLES GROUP
+         */
+        const longTitlesGroup = new Adw.PreferencesGroup({
+            title: _('Long Titles'),
+        });
+
+        /**
+         * MAXIMUM WIDTH SECTION
+         */
+        const labelMaxWidthRow = new Adw.SpinRow({
+            title: _('Maximum Width'),
+            subtitle: _('Limit the width of the track info in the top bar (0 for no limit)'),
+            adjustment: new Gtk.Adjustment({ lower: 0, upper: 2000, step_increment: 5 }),
+        });
+
+        settings.bind(
+            'label-max-width',
+            labelMaxWidthRow,
+            'value',
+            Gio.SettingsBindFlags.DEFAULT
+        );
+
+        longTitlesGroup.add(labelMaxWidthRow);
+
+        const widthUnits = [
+            new LabelWidthUnitItem({ title: _('Characters'), value: 'chars' }),
+            new LabelWidthUnitItem({ title: _('Pixels'),     value: 'pixels' }),
+        ];
+
+        const widthUnitStore = new Gio.ListStore({ item_type: LabelWidthUnitItem });
+        widthUnits.forEach(unit => widthUnitStore.append(unit));
+
+        const widthUnitComboRow = new Adw.ComboRow({
+            title: _('Maximum Width Unit'),
+            model: widthUnitStore,
+            expression: Gtk.PropertyExpression.new(LabelWidthUnitItem, null, 'title'),
+        });
+
+        const currentWidthUnit = settings.get_string('label-max-width-unit');
+        const widthUnitIndex = widthUnits.findIndex(unit => unit.value === currentWidthUnit);
+        widthUnitComboRow.set_selected(widthUnitIndex >= 0 ? widthUnitIndex : 0);
+
+        widthUnitComboRow.connect('notify::selected', (row) => {
+            const selectedItem = widthUnitStore.get_item(row.get_selected());
+            if (selectedItem) {
+                settings.set_string('label-max-width-unit', selectedItem.value);
+            }
+        });
+
+        longTitlesGroup.add(widthUnitComboRow);
+
+        /**
+         * OVERFLOW BEHAVIOR SECTION
+         */
+        const overflowModes = [
+            new LabelOverflowItem({ title: _('Ellipsize at the End'),    value: 'end' }),
+            new LabelOverflowItem({ title: _('Ellipsize in the Middle'), value: 'middle' }),
+            new LabelOverflowItem({ title: _('Scroll on Hover'),         value: 'marquee-hover' }),
+            new LabelOverflowItem({ title: _('Scroll Continuously'),     value: 'marquee-always' }),
+        ];
+
+        const overflowStore = new Gio.ListStore({ item_type: LabelOverflowItem });
+        overflowModes.forEach(mode => overflowStore.append(mode));
+
+        const overflowComboRow = new Adw.ComboRow({
+            title: _('Long Title Behavior'),
+            subtitle: _('What to do when the track info is wider than the maximum width'),
+            model: overflowStore,
+            expression: Gtk.PropertyExpression.new(LabelOverflowItem, null, 'title'),
+        });
+
+        const currentOverflowMode = settings.get_string('label-overflow');
+        const overflowIndex = overflowModes.findIndex(mode => mode.value === currentOverflowMode);
+        overflowComboRow.set_selected(overflowIndex >= 0 ? overflowIndex : 0);
+
+        overflowComboRow.connect('notify::selected', (row) => {
+            const selectedItem = overflowStore.get_item(row.get_selected());
+            if (selectedItem) {
+                settings.set_string('label-overflow', selectedItem.value);
+            }
+        });
+
+        longTitlesGroup.add(overflowComboRow);
+
+        page.add(longTitlesGroup);
+
+        /**
+         * SHARING GROUP
+         */
+        const sharingGroup = new Adw.PreferencesGroup({
+            title: _('Sharing'),
+            description: _('What "Share Track" in the menu and the copy shortcut or gesture put on the clipboard'),
+        });
+
+        this._addLabelFormatRows(sharingGroup, settings, 'copy-format', _('Text Format'), SAMPLE_TRACK);
+
+        const copyFormats = [
+            new CopyFormatItem({ title: _('Link'),        value: 'link' }),
+            new CopyFormatItem({ title: _('Spotify URI'), value: 'uri' }),
+            new CopyFormatItem({ title: _('Text'),        value: 'text' }),
+        ];
+
+        const copyFormatStore = new Gio.ListStore({ item_type: CopyFormatItem });
+        copyFormats.forEach(format => copyFormatStore.append(format));
+
+        const copyFormatComboRow = new Adw.ComboRow({
+            title: _('Copy Shortcut and Gesture Copy'),
+            model: copyFormatStore,
+            expression: Gtk.PropertyExpression.new(CopyFormatItem, null, 'title'),
+        });
+
+        const currentCopyFormat = settings.get_string('copy-shortcut-format');
+        const copyFormatIndex = copyFormats.findIndex(format => format.value === currentCopyFormat);
+        copyFormatComboRow.set_selected(copyFormatIndex >= 0 ? copyFormatIndex : 0);
+
+        copyFormatComboRow.connect('notify::selected', (row) => {
+            const selectedItem = copyFormatStore.get_item(row.get_selected());
+            if (selectedItem) {
+                settings.set_string('copy-shortcut-format', selectedItem.value);
+            }
+        });
+
+        sharingGroup.add(copyFormatComboRow);
+
+        page.add(sharingGroup);
+
+        /**
+         * ADVERTISEMENTS GROUP
+         */
+        const adsGroup = new Adw.PreferencesGroup({
+            title: _('Advertisements'),
+            description: _('Ads played by the free tier of Spotify'),
+        });
+
+        const adLabelRow = new Adw.EntryRow({
+            title: _('Label Shown During Ads'),
+            text: settings.get_string('ad-label'),
+        });
+
+        settings.bind(
+            'ad-label',
+            adLabelRow,
+            'text',
+            Gio.SettingsBindFlags.DEFAULT
+        );
+
+        adsGroup.add(adLabelRow);
+
+        const muteAdsSwitch = new Adw.SwitchRow({
+            title: _('Mute Ads'),
+            subtitle: _('Mute Spotify while an ad plays and restore the previous volume afterwards'),
+            activatable: true,
+            active: settings.get_boolean('mute-ads'),
+        });
+
+        settings.bind(
+            'mute-ads',
+            muteAdsSwitch,
+            'active',
+            Gio.SettingsBindFlags.DEFAULT
+        );
+
+        adsGroup.add(muteAdsSwitch);
+        page.add(adsGroup);
+
+        /**
+         * NOTIFICATIONS GROUP
+         */
+        const notificationsGroup = new Adw.PreferencesGroup({
+            title: _('Notifications'),
+        });
+
+        const notificationSwitches = [
+            ['notify-track-change', _('Notify on Track Change'), _('Show a notification with the album art and Next/Pause buttons when the track changes')],
+            ['notify-only-unfocused', _('Only When Not Focused'), _('Skip notifications while the player window has focus')],
+            ['notify-replace', _('Replace Previous Notification'), _('Replace the previous track notification instead of stacking them')],
+            ['notify-suppress-duplicates', _('Suppress Duplicates'), _('Don\'t notify again when the player re-sends the same track')],
+        ];
+
+        const notificationRows = notificationSwitches.map(([key, title, subtitle]) => {
+            const row = new Adw.SwitchRow({
+                title,
+                subtitle,
+                activatable: true,
+                active: settings.get_boolean(key),
+            });
+
+            settings.bind(
+                key,
+                row,
+                'active',
+                Gio.SettingsBindFlags.DEFAULT
+            );
+
+            notificationsGroup.add(row);
+            return row;
+        });
+
+        // The detail options only matter while notifications are enabled
+        const [notifySwitch, ...notifyOptionRows] = notificationRows;
+        notifyOptionRows.forEach(row => notifySwitch.bind_property('active', row, 'sensitive', GObject.BindingFlags.SYNC_CREATE));
+
+        page.add(notificationsGroup);
+
+        /**
+         * ALBUM ART CACHE GROUP
+         */
+        const artCacheGroup = new Adw.PreferencesGroup({
+            title: _('Album Art Cache'),
+            description: _('Album art is downloaded to your cache directory'),
+        });
+
+        const artCacheMaxAgeRow = new Adw.SpinRow({
+            title: _('Maximum Age (days)'),
+            subtitle: _('Covers older than this are removed'),
+            adjustment: new Gtk.Adjustment({ lower: 1, upper: 365, step_increment: 1 }),
+        });
+
+        settings.bind(
+            'art-cache-max-age',
+            artCacheMaxAgeRow,
+            'value',
+            Gio.SettingsBindFlags.DEFAULT
+        );
+
+        artCacheGroup.add(artCacheMaxAgeRow);
+
+        const artCacheMaxSizeRow = new Adw.SpinRow({
+            title: _('Maximum Size (MiB)'),
+            subtitle: _('The oldest covers are removed first once the cache grows beyond this'),
+            adjustment: new Gtk.Adjustment({ lower: 1, upper: 1024, step_increment: 10 }),
+        });
+
+        settings.bind(
+            'art-cache-max-size',
+            artCacheMaxSizeRow,
+            'value',
+            Gio.SettingsBindFlags.DEFAULT
+        );
+
+        artCacheGroup.add(artCacheMaxSizeRow);
+
+        page.add(artCacheGroup);
+
+        /**
+         * PLAYER GROUP
+         */
+        const playerGroup = new Adw.PreferencesGroup({
+            title: _('Player'),
+        });
+
+        /**
+         * FOLLOWED PLAYER SECTION
+         */
+        const selectionModes = [
+            new PlayerSelectionModeItem({ title: _('Preferred Player'),      value: 'fixed' }),
+            new PlayerSelectionModeItem({ title: _('Most Recently Active'),  value: 'last-active' }),
+            new PlayerSelectionModeItem({ title: _('Currently Playing'),     value: 'playing' }),
+        ];
+
+        const selectionModeStore = new Gio.ListStore({ item_type: PlayerSelectionModeItem });
+        selectionModes.forEach(mode => selectionModeStore.append(mode));
+
+        const selectionModeComboRow = new Adw.ComboRow({
+            title: _('Followed Player'),
+            subtitle: _('Select which media player the controls follow'),
+            model: selectionModeStore,
+            expression: Gtk.PropertyExpression.new(PlayerSelectionModeItem, null, 'title'),
+        });
+
+        const currentSelectionMode = settings.get_string('player-selection-mode');
+        const selectionModeIndex = selectionModes.findIndex(mode => mode.value === currentSelectionMode);
+        selectionModeComboRow.set_selected(selectionModeIndex >= 0 ? selectionModeIndex : 0);
+
+        selectionModeComboRow.connect('notify::selected', (row) => {
+            const selectedItem = selectionModeStore.get_item(row.get_selected());
+            if (selectedItem) {
+                settings.set_string('player-selection-mode', selectedItem.value);
+            }
+        });
+
+        playerGroup.add(selectionModeComboRow);
+
+        /**
+         * PREFERRED PLAYER ENTRY
+         */
+        const preferredPlayerRow = new Adw.EntryRow({
+            title: _('Preferred Player (e.g. spotify, firefox, vlc)'),
+            text: settings.get_string('preferred-player'),
+        });
+
+        settings.bind(
+            'preferred-player',
+            preferredPlayerRow,
+            'text',
+            Gio.SettingsBindFlags.DEFAULT
+        );
+
+        playerGroup.add(preferredPlayerRow);
+
+        page.add(playerGroup);
+
+        /**
+         * OTHER PLAYERS GROUP
+         */
+        const otherPlayersGroup = new Adw.PreferencesGroup({
+            title: _('Other Players'),
+        });
+
+        const pauseForOthersSwitch = new Adw.SwitchRow({
+            title: _('Pause Spotify While Other Players Play'),
+            subtitle: _('E.g. while watching a video in the browser, and resume afterwards'),
+            activatable: true,
+            active: settings.get_boolean('pause-for-other-players'),
+        });
+
+        settings.bind(
+            'pause-for-other-players',
+            pauseForOthersSwitch,
+            'active',
+            Gio.SettingsBindFlags.DEFAULT
+        );
+
+        otherPlayersGroup.add(pauseForOthersSwitch);
+
+        const resumeDelayRow = new Adw.SpinRow({
+            title: _('Resume Delay (seconds)'),
+            subtitle: _('How long to wait after the other player stopped'),
+            adjustment: new Gtk.Adjustment({ lower: 0, upper: 300, step_increment: 1 }),
+        });
+
+        settings.bind(
+            'resume-grace-delay',
+            resumeDelayRow,
+            'value',
+            Gio.SettingsBindFlags.DEFAULT
+        );
+
+        otherPlayersGroup.add(resumeDelayRow);
+
+        // A comma-separated list, saved when the apply button is pressed
+        const ignoreListRow = new Adw.EntryRow({
+            title: _('Ignored Players (e.g. vlc, firefox)'),
+            text: settings.get_strv('pause-ignore-list').join(', '),
+            show_apply_button: true,
+        });
+
+        ignoreListRow.connect('apply', () => {
+            const names = ignoreListRow.text.split(',').map(name => name.trim()).filter(name => name !== '');
+            settings.set_strv('pause-ignore-list', names);
+        });
+
+        otherPlayersGroup.add(ignoreListRow);
+
+        [resumeDelayRow, ignoreListRow].forEach(row =>
+            pauseForOthersSwitch.bind_property('active', row, 'sensitive', GObject.BindingFlags.SYNC_CREATE));
+
+        page.add(otherPlayersGroup);
+
+        // Finally, add the pages to the window and show
+        window.add(page);
+        window.add(this._buildShortcutsPage(window, settings));
+        window.add(this._buildHistoryPage(window, settings));
+        window.add(this._buildLyricsPage(window, settings));
+        window.add(this._buildBookmarksPage(window, settings));
+        window.show();
+    }
+
+    /**
+     * Builds the page for the listening history: recording options, export and clearing.
+     * @param {Adw.PreferencesWindow} window - The preferences window, used as the dialogs' parent.
+     * @param {Gio.Settings} settings - The settings object for the extension.
+     * @returns {Adw.PreferencesPage} - The history page.
+     */
+    _buildHistoryPage(window, settings) {
+        const page = new Adw.PreferencesPage({
+            title: _('History'),
+            icon_name: 'document-open-recent-symbolic',
+        });
+
+        /**
+         * LISTENING HISTORY GROUP
+         */
+        const historyGroup = new Adw.PreferencesGroup({
+            title: _('Listening History'),
+            description: _('Played tracks are stored in %s').replace('%s', getHistoryFile().get_path()),
+        });
+
+        const historyEnabledSwitch = new Adw.SwitchRow({
+            title: _('Record Listening History'),
+            subtitle: _('Record every played track and how long it was played'),
+            activatable: true,
+            active: settings.get_boolean('history-enabled'),
+        });
+
+        settings.bind(
+            'history-enabled',
+            historyEnabledSwitch,
+            'active',
+            Gio.SettingsBindFlags.DEFAULT
+        );
+
+        historyGroup.add(historyEnabledSwitch);
+
+        const historyMaxEntriesRow = new Adw.SpinRow({
+            title: _('Keep Tracks'),
+            subtitle: _('The oldest tracks are removed beyond this number'),
+            adjustment: new Gtk.Adjustment({ lower: 10, upper: 100000, step_increment: 100 }),
+        });
+
+        settings.bind(
+            'history-max-entries',
+            historyMaxEntriesRow,
+            'value',
+            Gio.SettingsBindFlags.DEFAULT
+        );
+
+        historyGroup.add(historyMaxEntriesRow);
+
+        const historyMenuSizeRow = new Adw.SpinRow({
+            title: _('Tracks in Menu'),
+            subtitle: _('Number of tracks in the "Recently Played" menu'),
+            adjustment: new Gtk.Adjustment({ lower: 1, upper: 50, step_increment: 1 }),
+        });
+
+        settings.bind(
+            'history-menu-size',
+            historyMenuSizeRow,
+            'value',
+            Gio.SettingsBindFlags.DEFAULT
+        );
+
+        historyGroup.add(historyMenuSizeRow);
+
+        page.add(historyGroup);
+
+        /**
+         * MANAGE HISTORY GROUP
+         */
+        const manageGroup = new Adw.PreferencesGroup({
+            title: _('Manage History'),
+        });
+
+        const exportButton = new Gtk.Button({ label: _('Export…'), valign: Gtk.Align.CENTER });
+        exportButton.connect('clicked', () => this._exportHistory(window));
+
+        const exportRow = new Adw.ActionRow({
+            title: _('Export History'),
+            subtitle: _('Save the listening history as CSV or JSON'),
+        });
+        exportRow.add_suffix(exportButton);
+        manageGroup.add(exportRow);
+
+        const clearButton = new Gtk.Button({
+            label: _('Clear…'),
+            valign: Gtk.Align.CENTER,
+            css_classes: ['destructive-action'],
+        });
+        clearButton.connect('clicked', () => this._clearHistory(window));
+
+        const clearRow = new Adw.ActionRow({
+            title: _('Clear History'),
+            subtitle: _('Delete every recorded track'),
+        });
+        clearRow.add_suffix(clearButton);
+        manageGroup.add(clearRow);
+
+        page.add(manageGroup);
+
+        /**
+         * SCROBBLING GROUP
+         */
+        const scrobbleGroup = new Adw.PreferencesGroup({
+            title: _('Scrobbling'),
+            description: _('Submit played tracks to ListenBrainz or a compatible server. Tracks count after half their length or 4 minutes.'),
+        });
+
+        const scrobbleEnabledSwitch = new Adw.SwitchRow({
+            title: _('Scrobble Played Tracks'),
+            subtitle: _('Tracks that can\'t be sent are queued and retried later'),
+            activatable: true,
+            active: settings.get_boolean('scrobble-enabled'),
+        });
+
+        settings.bind(
+            'scrobble-enabled',
+            scrobbleEnabledSwitch,
+            'active',
+            Gio.SettingsBindFlags.DEFAULT
+        );
+
+        scrobbleGroup.add(scrobbleEnabledSwitch);
+
+        const scrobbleUrlRow = new Adw.EntryRow({
+            title: _('Server URL'),
+            text: settings.get_string('scrobble-url'),
+        });
+
+        settings.bind(
+            'scrobble-url',
+            scrobbleUrlRow,
+            'text',
+            Gio.SettingsBindFlags.DEFAULT
+        );
+
+        scrobbleGroup.add(scrobbleUrlRow);
+
+        const scrobbleTokenRow = new Adw.PasswordEntryRow({
+            title: _('User Token'),
+            text: settings.get_string('scrobble-token'),
+        });
+
+        settings.bind(
+            'scrobble-token',
+            scrobbleTokenRow,
+            'text',
+            Gio.SettingsBindFlags.DEFAULT
+        );
+
+        scrobbleGroup.add(scrobbleTokenRow);
+
+        const scrobbleAuthFailedRow = new Adw.ActionRow({
+            title: _('The server rejected the token'),
+            subtitle: _('Played tracks are kept and sent once the token or the server URL is changed'),
+        });
+        scrobbleAuthFailedRow.add_prefix(new Gtk.Image({ icon_name: 'dialog-warning-symbolic' }));
+
+        settings.bind(
+            'scrobble-auth-failed',
+            scrobbleAuthFailedRow,
+            'visible',
+            Gio.SettingsBindFlags.GET
+        );
+
+        scrobbleGroup.add(scrobbleAuthFailedRow);
+
+        [scrobbleUrlRow, scrobbleTokenRow].forEach(row => scrobbleEnabledSwitch.bind_property('active', row, 'sensitive', GObject.BindingFlags.SYNC_CREATE));
+
+        page.add(scrobbleGroup);
+        return page;
+    }
+
+    /**
+     * Builds the page for synced lyrics: the lyrics folder, the top bar mode
+     * and the per-track offsets saved from the lyrics view in the menu.
+     * @param {Adw.PreferencesWindow} window - The preferences window, used as the dialogs' parent.
+     * @param {Gio.Settings} settings - The settings object for the extension.
+     * @returns {Adw.PreferencesPage} - The lyrics page.
+     */
+    _buildLyricsPage(window, settings) {
+        const page = new Adw.PreferencesPage({
+            title: _('Lyrics'),
+            icon_name: 'audio-x-generic-symbolic',
+        });
+
+        /**
+         * LYRICS GROUP
+         */
+        const lyricsGroup = new Adw.PreferencesGroup({
+            title: _('Synced Lyrics'),
+            description: _('Lyrics are read from .lrc files named after the artist and title, e.g. "Artist - Title.lrc"'),
+        });
+
+        const folderRow = new Adw.ActionRow({
+            title: _('Lyrics Folder'),
+            use_markup: false,
+        });
+        const updateFolderRow = () => {
+            const folder = settings.get_string('lyrics-folder');
+            folderRow.subtitle = folder !== '' ? folder : _('None, lyrics are disabled');
+        };
+        updateFolderRow();
+        const folderChangedId = settings.connect('changed::lyrics-folder', updateFolderRow);
+
+        const chooseFolderButton = new Gtk.Button({ label: _('Choose…'), valign: Gtk.Align.CENTER });
+        chooseFolderButton.connect('clicked', () => {
+            const dialog = new Gtk.FileDialog({ title: _('Choose Lyrics Folder') });
+            const folder = settings.get_string('lyrics-folder');
+            if (folder !== '') {
+                dialog.initial_folder = Gio.File.new_for_path(folder);
+            }
+
+            dialog.select_folder(window, null, (d, result) => {
+                try {
+                    settings.set_string('lyrics-folder', d.select_folder_finish(result).get_path());
+                } catch (e) {
+                    // Dismissed
+                }
+            });
+        });
+
+        const clearFolderButton = new Gtk.Button({
+            icon_name: 'edit-clear-symbolic',
+            tooltip_text: _('Disable Lyrics'),
+            valign: Gtk.Align.CENTER,
+            css_classes: ['flat'],
+        });
+        clearFolderButton.connect('clicked', () => settings.reset('lyrics-folder'));
+
+        folderRow.add_suffix(chooseFolderButton);
+        folderRow.add_suffix(clearFolderButton);
+        lyricsGroup.add(folderRow);
+
+        const lyricsInPanelSwitch = new Adw.SwitchRow({
+            title: _('Show Lyrics in the Top Bar'),
+            subtitle: _('Replace the track label with the current lyric line'),
+            activatable: true,
+            active: settings.get_boolean('lyrics-in-panel'),
+        });
+
+        settings.bind(
+            'lyrics-in-panel',
+            lyricsInPanelSwitch,
+            'active',
+            Gio.SettingsBindFlags.DEFAULT
+        );
+
+        lyricsGroup.add(lyricsInPanelSwitch);
+        page.add(lyricsGroup);
+
+        /**
+         * OFFSETS GROUP
+         */
+        const offsetsGroup = new Adw.PreferencesGroup({
+            title: _('Per-Track Offsets'),
+            description: _('Corrections for lyrics that are out of sync, in seconds. Positive values show lines earlier. Offsets can also be adjusted from the lyrics in the menu.'),
+        });
+
+        const offsetsFile = getOffsetsFile();
+        let offsets = {};
+        let offsetRows = [];
+        // The last contents written from here, so our own writes don't rebuild the rows being edited
+        let writtenContents = null;
+
+        const saveOffsets = () => {
+            writtenContents = `${JSON.stringify(offsets, null, 2)}\n`;
+            try {
+                offsetsFile.get_parent().make_directory_with_parents(null);
+            } catch (e) {
+                if (!e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.EXISTS)) {
+                    logError(e, 'Failed to create the data directory');
+                    return;
+                }
+            }
+            writeTextFile(offsetsFile, writtenContents)
+                .catch(e => logError(e, 'Failed to save lyrics offsets'));
+        };
+
+        const buildOffsetRows = () => {
+            offsetRows.forEach(row => offsetsGroup.remove(row));
+            offsetRows = [];
+
+            const keys = Object.keys(offsets).sort();
+            if (keys.length === 0) {
+                const emptyRow = new Adw.ActionRow({ title: _('No offsets saved'), sensitive: false });
+                offsetsGroup.add(emptyRow);
+                offsetRows.push(emptyRow);
+                return;
+            }
+
+            for (const key of keys) {
+                const { artist, title, offset } = offsets[key];
+                const row = new Adw.SpinRow({
+                    title: title ?? key,
+                    subtitle: artist ?? '',
+                    use_markup: false,
+                    digits: 2,
+                    adjustment: new Gtk.Adjustment({
+                        lower: -60,
+                        upper: 60,
+                        step_increment: 0.25,
+                        value: (offset ?? 0) / 1000,
+                    }),
+                });
+                row.connect('notify::value', () => {
+                    offsets[key].offset = Math.round(row.value * 1000);
+                    saveOffsets();
+                });
+
+                const removeButton = new Gtk.Button({
+                    icon_name: 'user-trash-symbolic',
+                    tooltip_text: _('Remove Offset'),
+                    valign: Gtk.Align.CENTER,
+                    css_classes: ['flat'],
+                });
+                removeButton.connect('clicked', () => {
+                    delete offsets[key];
+                    saveOffsets();
+                    buildOffsetRows();
+                });
+                row.add_suffix(removeButton);
+
+                offsetsGroup.add(row);
+                offsetRows.push(row);
+            }
+        };
+
+        const loadOffsets = async () => {
+            try {
+                const contents = await readTextFile(offsetsFile);
+                if (contents === writtenContents) {
+                    return;
+                }
+                offsets = parseOffsets(contents);
+                buildOffsetRows();
+            } catch (e) {
+                logError(e, 'Failed to load lyrics offsets');
+            }
+        };
+
+        // Offsets saved from the menu while the window is open show up right away
+        const monitor = offsetsFile.monitor_file(Gio.FileMonitorFlags.NONE, null);
+        monitor.connect('changed', (m, file, otherFile, eventType) => {
+            if (eventType === Gio.FileMonitorEvent.CHANGES_DONE_HINT || eventType === Gio.FileMonitorEvent.DELETED) {
+                loadOffsets();
+            }
+        });
+
+        buildOffsetRows();
+        loadOffsets();
+        page.add(offsetsGroup);
+
+        window.connect('close-request', () => {
+            monitor.cancel();
+            settings.disconnect(folderChangedId);
+        });
+
+        return page;
+    }
+
+    /**
+     * Builds the page for managing the bookmarks shown in the "Bookmarks" menu:
+     * reordering, removing, adding, import and export.
+     * @param {Adw.PreferencesWindow} window - The preferences window, used as the dialogs' parent.
+     * @param {Gio.Settings} settings - The settings object for the extension.
+     * @returns {Adw.PreferencesPage} - The bookmarks page.
+     */
+    _buildBookmarksPage(window, settings) {
+        const page = new Adw.PreferencesPage({
+            title: _('Bookmarks'),
+            icon_name: 'starred-symbolic',
+        });
+
+        /**
+         * BOOKMARKS GROUP
+         */
+        const bookmarksGroup = new Adw.PreferencesGroup({
+            title: _('Bookmarks'),
+            description: _('Playlists, albums, artists and radios to start from the menu'),
+        });
+
+        let bookmarkRows = [];
+
+        /**
+         * Moves a bookmark up or down in the menu.
+         * @param {number} index - The bookmark's position.
+         * @param {number} offset - -1 to move it up, 1 to move it down.
+         */
+        const moveBookmark = (index, offset) => {
+            const bookmarks = getBookmarks(settings);
+            const [bookmark] = bookmarks.splice(index, 1);
+            bookmarks.splice(index + offset, 0, bookmark);
+            setBookmarks(settings, bookmarks);
+        };
+
+        const buildBookmarkRows = () => {
+            bookmarkRows.forEach(row => bookmarksGroup.remove(row));
+            bookmarkRows = [];
+
+            const bookmarks = getBookmarks(settings);
+            if (bookmarks.length === 0) {
+                const emptyRow = new Adw.ActionRow({ title: _('No bookmarks saved'), sensitive: false });
+                bookmarksGroup.add(emptyRow);
+                bookmarkRows.push(emptyRow);
+                return;
+            }
+
+            bookmarks.forEach(({ name, uri }, index) => {
+                const row = new Adw.ActionRow({
+                    title: name,
+                    subtitle: uri,
+                    use_markup: false,
+                });
+
+                const upButton = new Gtk.Button({
+                    icon_name: 'go-up-symbolic',
+                    tooltip_text: _('Move Up'),
+                    valign: Gtk.Align.CENTER,
+                    sensitive: index > 0,
+                    css_classes: ['flat'],
+                });
+                upButton.connect('clicked', () => moveBookmark(index, -1));
+
+                const downButton = new Gtk.Button({
+                    icon_name: 'go-down-symbolic',
+                    tooltip_text: _('Move Down'),
+                    valign: Gtk.Align.CENTER,
+                    sensitive: index < bookmarks.length - 1,
+                    css_classes: ['flat'],
+                });
+                downButton.connect('clicked', () => moveBookmark(index, 1));
+
+                const removeButton = new Gtk.Button({
+                    icon_name: 'user-trash-symbolic',
+                    tooltip_text: _('Remove Bookmark'),
+                    valign: Gtk.Align.CENTER,
+                    css_classes: ['flat'],
+                });
+                removeButton.connect('clicked', () => {
+                    setBookmarks(settings, getBookmarks(settings).filter((bookmark, i) => i !== index));
+                });
+
+                row.add_suffix(upButton);
+                row.add_suffix(downButton);
+                row.add_suffix(removeButton);
+
+                bookmarksGroup.add(row);
+                bookmarkRows.push(row);
+            });
+        };
+
+        // Bookmarks added from the menu while the window is open show up right away
+        const bookmarksChangedId = settings.connect('changed::bookmarks', buildBookmarkRows);
+        buildBookmarkRows();
+        page.add(bookmarksGroup);
+
+        /**
+         * ADD BOOKMARK GROUP
+         */
+        const addGroup = new Adw.PreferencesGroup({
+            title: _('Add Bookmark'),
+            description: _('In Spotify, use Share → Copy Spotify URI (hold Alt) to get the URI'),
+        });
+
+        const nameRow = new Adw.EntryRow({ title: _('Name') });
+        const uriRow = new Adw.EntryRow({ title: _('Spotify URI or Link (e.g. spotify:playlist:…)') });
+
+        const addButton = new Gtk.Button({
+            label: _('Add'),
+            valign: Gtk.Align.CENTER,
+            css_classes: ['suggested-action'],
+        });
+        addButton.connect('clicked', () => {
+            const name = nameRow.text.trim();
+            // Shared open.spotify.com links work too
+            const text = uriRow.text.trim();
+            const uri = linkToUri(text) ?? (isSpotifyUri(text) ? text : null);
+            if (name === '' || !uri) {
+                window.add_toast(new Adw.Toast({ title: _('Enter a name and a spotify: URI or link') }));
+                return;
+            }
+
+            if (addBookmarks(settings, [{ name, uri }]) === 0) {
+                window.add_toast(new Adw.Toast({ title: _('This URI is already bookmarked') }));
+                return;
+            }
+            nameRow.text = '';
+            uriRow.text = '';
+        });
+
+        const addRow = new Adw.ActionRow({ title: _('Add to Bookmarks') });
+        addRow.add_suffix(addButton);
+
+        addGroup.add(nameRow);
+        addGroup.add(uriRow);
+        addGroup.add(addRow);
+        page.add(addGroup);
+
+        /**
+         * IMPORT AND EXPORT GROUP
+         */
+        const transferGroup = new Adw.PreferencesGroup({
+            title: _('Import and Export'),
+        });
+
+        const importButton = new Gtk.Button({ label: _('Import…'), valign: Gtk.Align.CENTER });
+        importButton.connect('clicked', () => this._importBookmarks(window, settings));
+
+        const importRow = new Adw.ActionRow({
+            title: _('Import Bookmarks'),
+            subtitle: _('Add the bookmarks of a JSON file; URIs that are already bookmarked are skipped'),
+        });
+        importRow.add_suffix(importButton);
+        transferGroup.add(importRow);
+
+        const exportButton = new Gtk.Button({ label: _('Export…'), valign: Gtk.Align.CENTER });
+        exportButton.connect('clicked', () => this._exportBookmarks(window, settings));
+
+        const exportRow = new Adw.ActionRow({
+            title: _('Export Bookmarks'),
+            subtitle: _('Save the bookmarks as JSON, e.g. to share them with your team'),
+        });
+        exportRow.add_suffix(exportButton);
+        transferGroup.add(exportRow);
+
+        page.add(transferGroup);
+
+        window.connect('close-request', () => {
+            settings.disconnect(bookmarksChangedId);
+        });
+
+        return page;
+    }
+
+    /**
+     * Returns the file filters for JSON files.
+     * @returns {Gio.ListStore} - The filters for a Gtk.FileDialog.
+     */
+    _getJsonFilters() {
+        const jsonFilter = new Gtk.FileFilter({ name: _('JSON Files') });
+        jsonFilter.add_suffix('json');
+
+        const filters = new Gio.ListStore({ item_type: Gtk.FileFilter });
+        filters.append(jsonFilter);
+        return filters;
+    }
+
+    /**
+     * Asks for a JSON file and adds the bookmarks in it.
+     * @param {Gtk.Window} window - The parent window.
+     * @param {Gio.Settings} settings - The settings object for the extension.
+     */
+    _importBookmarks(window, settings) {
+        const dialog = new Gtk.FileDialog({
+            title: _('Import Bookmarks'),
+            filters: this._getJsonFilters(),
+        });
+
+        dialog.open(window, null, async (d, result) => {
+            let file;
+            try {
+                file = d.open_finish(result);
+            } catch (e) {
+                // Dismissed
+                return;
+            }
+
+            try {
+                const added = addBookmarks(settings, parseBookmarks(await readTextFile(file)));
+                window.add_toast(new Adw.Toast({ title: ngettext('Imported %d bookmark', 'Imported %d bookmarks', added).format(added) }));
+            } catch (e) {
+                logError(e, 'Failed to import bookmarks');
+                window.add_toast(new Adw.Toast({ title: _('Failed to import the bookmarks') }));
+            }
+        });
+    }
+
+    /**
+     * Asks for a file name and exports the bookmarks to it as JSON.
+     * @param {Gtk.Window} window - The parent window.
+     * @param {Gio.Settings} settings - The settings object for the extension.
+     */
+    _exportBookmarks(window, settings) {
+        const dialog = new Gtk.FileDialog({
+            title: _('Export Bookmarks'),
+            initial_name: 'spotify-bookmarks.json',
+            filters: this._getJsonFilters(),
+        });
+
+        dialog.save(window, null, async (d, result) => {
+            let file;
+            try {
+                file = d.save_finish(result);
+            } catch (e) {
+                // Dismissed
+                return;
+            }
+
+            try {
+                const bookmarks = getBookmarks(settings);
+                await writeTextFile(file, bookmarksToJson(bookmarks));
+                window.add_toast(new Adw.Toast({ title: ngettext('Exported %d bookmark', 'Exported %d bookmarks', bookmarks.length).format(bookmarks.length) }));
+            } catch (e) {
+                logError(e, 'Failed to export bookmarks');
+                window.add_toast(new Adw.Toast({ title: _('Failed to export the bookmarks') }));
+            }
+        });
+    }
+
+    /**
+     * Asks for a file name and exports the listening history to it,
+     * as JSON for *.json files and as CSV otherwise.
+     * @param {Gtk.Window} window - The parent window.
+     */
+    _exportHistory(window) {
+        const csvFilter = new Gtk.FileFilter({ name: _('CSV Files') });
+        csvFilter.add_suffix('csv');
+        const jsonFilter = new Gtk.FileFilter({ name: _('JSON Files') });
+        jsonFilter.add_suffix('json');
+
+        const filters = new Gio.ListStore({ item_type: Gtk.FileFilter });
+        filters.append(csvFilter);
+        filters.append(jsonFilter);
+
+        const dialog = new Gtk.FileDialog({
+            title: _('Export Listening History'),
+            initial_name: 'listening-history.csv',
+            filters,
+        });
+
+        dialog.save(window, null, async (d, result) => {
+            let file;
+            try {
+                file = d.save_finish(result);
+            } catch (e) {
+                // Dismissed
+                return;
+            }
+
+            try {
+                const entries = parseHistory(await this._readHistoryText());
+                const isJson = file.get_basename().toLowerCase().endsWith('.json');
+                await writeTextFile(file, isJson ? historyToJson(entries) : historyToCsv(entries));
+                window.add_toast(new Adw.Toast({ title: ngettext('Exported %d track', 'Exported %d tracks', entries.length).format(entries.length) }));
+            } catch (e) {
+                logError(e, 'Failed to export listening history');
+                window.add_toast(new Adw.Toast({ title: _('Failed to export the listening history') }));
+            }
+        });
+    }
+
+    /**
+     * Reads the listening history file.
+     * @returns {Promise<string>} - The file contents, or '' if nothing has been recorded yet.
+     */
+    async _readHistoryText() {
+        try {
+            return await readTextFile(getHistoryFile());
+        } catch (e) {
+            // History is opt-in, so neither the file nor its directory may exist yet
+            if (e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND)) {
+                return '';
+            }
+            throw e;
+        }
+    }
+
+    /**
+     * Asks for confirmation, then empties the listening history.
+     * @param {Gtk.Window} window - The parent window.
+     */
+    _clearHistory(window) {
+        const dialog = new Adw.MessageDialog({
+            transient_for: window,
+            heading: _('Clear Listening History?'),
+            body: _('Every recorded track will be deleted. This cannot be undone.'),
+        });
+        dialog.add_response('cancel', _('Cancel'));
+        dialog.add_response('clear', _('Clear'));
+        dialog.set_response_appearance('clear', Adw.ResponseAppearance.DESTRUCTIVE);
+        dialog.set_default_response('cancel');
+
+        dialog.connect('response', async (d, response) => {
+            if (response !== 'clear') {
+                return;
+            }
+
+            try {
+                // The extension watches the file and reloads it
+                await writeTextFile(getHistoryFile(), '');
+                window.add_toast(new Adw.Toast({ title: _('Listening history cleared') }));
+            } catch (e) {
+                if (e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND)) {
+                    // Nothing has been recorded yet
+                    window.add_toast(new Adw.Toast({ title: _('Listening history cleared') }));
+                    return;
+                }
+                logError(e, 'Failed to clear listening history');
+                window.add_toast(new Adw.Toast({ title: _('Failed to clear the listening history') }));
+            }
+        });
+
+        dialog.present();
+    }
+
+    /**
+     * Builds the page for editing the global keyboard shortcuts.
+     * @param {Adw.PreferencesWindow} window - The preferences window, used as the capture dialog's parent.
+     * @param {Gio.Settings} settings - The settings object for the extension.
+     * @returns {Adw.PreferencesPage} - The shortcuts page.
+     */
+    _buildShortcutsPage(window, settings) {
+        const page = new Adw.PreferencesPage({
+            title: _('Shortcuts'),
+            icon_name: 'preferences-desktop-keyboard-shortcuts-symbolic',
+        });
+
+        const group = new Adw.PreferencesGroup({
+            title: _('Global Shortcuts'),
+            description: _('Work everywhere, even when other media players are open. Click a shortcut to change it.'),
+        });
+
+        const shortcuts = [
+            ['shortcut-play-pause',    _('Play/Pause')],
+            ['shortcut-next',          _('Next Track')],
+            ['shortcut-previous',      _('Previous Track')],
+            ['shortcut-volume-up',     _('Volume Up')],
+            ['shortcut-volume-down',   _('Volume Down')],
+            ['shortcut-seek-forward',  _('Seek Forward 10 s')],
+            ['shortcut-seek-backward', _('Seek Backward 10 s')],
+            ['shortcut-raise-window',  _('Raise Window')],
+            ['shortcut-copy-track',    _('Copy Current Track')],
+        ];
+
+        const shortcutLabels = new Map();
+        const rows = new Map();
+
+        // Show the current accelerator of a row and flag conflicts in its subtitle
+        const refreshRow = (key) => {
+            const accelerator = settings.get_strv(key)[0] ?? '';
+            shortcutLabels.get(key).accelerator = accelerator;
+
+            const conflict = accelerator ? this._findShortcutConflict(settings, shortcuts, key, accelerator) : null;
+            rows.get(key).subtitle = conflict ? `${_('Conflicts with')} ${conflict.title}` : '';
+        };
+
+        for (const [key, title] of shortcuts) {
+            const row = new Adw.ActionRow({ title, activatable: true, use_markup: false });
+            const shortcutLabel = new Gtk.ShortcutLabel({
+                disabled_text: _('Disabled'),
+                valign: Gtk.Align.CENTER,
+            });
+            row.add_suffix(shortcutLabel);
+
+            row.connect('activated', () => {
+                this._captureShortcut(window, title, (accelerator) => {
+                    if (accelerator === null) {
+                        settings.set_strv(key, []);
+                        return null;
+                    }
+
+                    // Two actions on one shortcut can't work; GNOME's own bindings are only flagged
+                    const conflict = this._findShortcutConflict(settings, shortcuts, key, accelerator);
+                    if (conflict && conflict.internal) {
+                        return `${_('Already used by')} ${conflict.title}`;
+                    }
+
+                    settings.set_strv(key, [accelerator]);
+                    return null;
+                });
+            });
+
+            shortcutLabels.set(key, shortcutLabel);
+            rows.set(key, row);
+            group.add(row);
+        }
+
+        // Any change can add or resolve a conflict on another row
+        const refreshAll = () => shortcuts.forEach(([key]) => refreshRow(key));
+        const changedIds = shortcuts.map(([key]) => settings.connect(`changed::${key}`, refreshAll));
+        page.connect('destroy', () => changedIds.forEach(id => settings.disconnect(id)));
+        refreshAll();
+
+        page.add(group);
+        return page;
+    }
+
+    /**
+     * Looks for another binding of the same key combination, first among this
+     * extension's shortcuts, then in GNOME's own keybinding schemas.
+     * @param {Gio.Settings} settings - The settings object for the extension.
+     * @param {Array<[string, string]>} shortcuts - This extension's shortcut keys and titles.
+     * @param {string} ownKey - The key being edited, which doesn't conflict with itself.
+     * @param {string} accelerator - The accelerator to check, e.g. '<Super>p'.
+     * @returns {{title: string, internal: boolean}|null} - The conflicting binding, or null.
+     */
+    _findShortcutConflict(settings, shortcuts, ownKey, accelerator) {
+        const [parsed, keyval, mods] = Gtk.accelerator_parse(accelerator);
+        if (!parsed) {
+            return null;
+        }
+
+        const matches = (other) => {
+            const [ok, otherKeyval, otherMods] = Gtk.accelerator_parse(other);
+            return ok && otherKeyval === keyval && otherMods === mods;
+        };
+
+        for (const [key, title] of shortcuts) {
+            if (key !== ownKey && settings.get_strv(key).some(matches)) {
+                return { title, internal: true };
+            }
+        }
+
+        const schemaSource = Gio.SettingsSchemaSource.get_default();
+        for (const schemaId of SYSTEM_KEYBINDING_SCHEMAS) {
+            const schema = schemaSource.lookup(schemaId, true);
+            if (!schema) {
+                continue;
+            }
+
+            const systemSettings = new Gio.Settings({ settings_schema: schema });
+            for (const key of schema.list_keys()) {
+                const value = systemSettings.get_value(key);
+                let accelerators = [];
+                if (value.get_type_string() === 'as') {
+                    accelerators = value.deep_unpack();
+                } else if (value.get_type_string() === 's') {
+                    accelerators = [value.deep_unpack()];
+                }
+
+                if (accelerators.some(matches)) {
+                    return { title: schema.get_key(key).get_summary() || key, internal: false };
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Opens a dialog that captures the next key combination.
+     * Escape cancels and Backspace disables the shortcut.
+     * @param {Gtk.Window} parent - The window the dialog belongs to.
+     * @param {string} title - The name of the shortcut being edited.
+     * @param {Function} onCaptured - Called with the accelerator, or null to disable;
+     *     returns an error message to keep the dialog open, or null to close it.
+     */
+    _captureShortcut(parent, title, onCaptured) {
+        const statusPage = new Adw.StatusPage({
+            title: _('Press a key combination'),
+            description: _('Press Escape to cancel or Backspace to disable the shortcut.'),
+            icon_name: 'preferences-desktop-keyboard-shortcuts-symbolic',
+        });
+
+        const toolbarView = new Adw.ToolbarView({ content: statusPage });
+        toolbarView.add_top_bar(new Adw.HeaderBar());
+
+        const dialog = new Adw.Window({
+            title,
+            modal: true,
+            transient_for: parent,
+            default_width: 420,
+            resizable: false,
+            content: toolbarView,
+        });
+
+        const controller = new Gtk.EventControllerKey();
+        controller.connect('key-pressed', (ctrl, keyval, keycode, state) => {
+            const mask = state & Gtk.accelerator_get_default_mod_mask() & ~Gdk.ModifierType.LOCK_MASK;
+            keyval = Gdk.keyval_to_lower(keyval);
+
+            if (mask === 0 && keyval === Gdk.KEY_Escape) {
+                dialog.close();
+                return Gdk.EVENT_STOP;
+            }
+
+            if (mask === 0 && keyval === Gdk.KEY_BackSpace) {
+                onCaptured(null);
+                dialog.close();
+                return Gdk.EVENT_STOP;
+            }
+
+            // Wait for a non-modifier key
+            if (!Gtk.accelerator_valid(keyval, mask)) {
+                return Gdk.EVENT_STOP;
+            }
+
+            // Plain keys would shadow typing everywhere; only F-keys and media keys may stand alone
+            const isStandaloneKey = (keyval >= Gdk.KEY_F1 && keyval <= Gdk.KEY_F35) ||
+                (keyval >= XF86_KEYSYM_FIRST && keyval <= XF86_KEYSYM_LAST);
+            if (mask === 0 && !isStandaloneKey) {
+                statusPage.description = _('Use at least one modifier key such as Ctrl, Alt or Super.');
+                return Gdk.EVENT_STOP;
+            }
+
+            const error = onCaptured(Gtk.accelerator_name(keyval, mask));
+            if (error) {
+                statusPage.description = error;
+                return Gdk.EVENT_STOP;
+            }
+
+            dialog.close();
+            return Gdk.EVENT_STOP;
+        });
+        dialog.add_controller(controller);
+
+        dialog.present();
+    }
+
+    /**
+     * Adds an entry row for a label template and a row previewing it with a sample track.
+     * @param {Adw.PreferencesGroup} group - The group to add the rows to.
+     * @param {Gio.Settings} settings - The settings object for the extension.
+     * @param {string} key - The template's settings key.
+     * @param {string} title - The entry row title.
+     * @param {Object} sample - Placeholder values for the preview.
+     */
+    _addLabelFormatRows(group, settings, key, title, sample) {
+        const formatRow = new Adw.EntryRow({
+            title,
+            text: settings.get_string(key),
+        });
+
+        settings.bind(
+            key,
+            formatRow,
+            'text',
+            Gio.SettingsBindFlags.DEFAULT
+        );
+
+        const previewRow = new Adw.ActionRow({
+            title: _('Preview'),
+            use_markup: false,
+            subtitle: formatLabel(formatRow.text, sample),
+        });
+
+        formatRow.connect('changed', () => {
+            previewRow.subtitle = formatLabel(formatRow.text, sample);
+        });
+
+        group.add(formatRow);
+        group.add(previewRow);
     }
 }
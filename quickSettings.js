@@ -0,0 +1,175 @@
+/*
+ * Spotify Controls Extension
+ * Copyright (C) 2024 Athanasios Raptis
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import Clutter from 'gi://Clutter';
+import GObject from 'gi://GObject';
+import St from 'gi://St';
+
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+import * as PopupMenu from 'resource:///org/gnome/shell/ui/popupMenu.js';
+import * as QuickSettings from 'resource:///org/gnome/shell/ui/quickSettings.js';
+
+import { gettext as _ } from 'resource:///org/gnome/shell/extensions/extension.js';
+
+// Size of the album art in the expanded menu, in pixels
+const COVER_SIZE = 128;
+
+/**
+ * SpotifyMenuToggle Class
+ * A Quick Settings toggle mirroring the indicator: its title is the current track, the
+ * toggle plays and pauses, and its menu has the cover and the playback controls.
+ * All state comes from the indicator, which calls sync() whenever it changes.
+ */
+const SpotifyMenuToggle = GObject.registerClass(
+    class SpotifyMenuToggle extends QuickSettings.QuickMenuToggle {
+        /**
+         * Initializes the toggle and its menu.
+         * @param {SpotifyIndicator} indicator - The indicator whose player is shown.
+         */
+        _init(indicator) {
+            super._init({
+                title: _('No Track Playing'),
+                toggleMode: false,
+            });
+
+            this._indicator = indicator;
+            this.connect('clicked', () => this._indicator._runAction('play-pause'));
+
+            // Album art
+            let coverItem = new PopupMenu.PopupBaseMenuItem({ reactive: false, can_focus: false });
+            this._cover = new St.Icon({
+                icon_size: COVER_SIZE,
+                x_expand: true,
+                x_align: Clutter.ActorAlign.CENTER,
+                style_class: 'spotify-menu-cover',
+            });
+            coverItem.add_child(this._cover);
+            this.menu.addMenuItem(coverItem);
+
+            // Playback controls; their sensitivity is set by the indicator's _updateControlsSensitivity
+            let controlsItem = new PopupMenu.PopupBaseMenuItem({ reactive: false, can_focus: false });
+            let controlsBox = new St.BoxLayout({
+                x_expand: true,
+                x_align: Clutter.ActorAlign.CENTER,
+                style_class: 'spotify-menu-controls',
+            });
+
+            this.prevButton = new St.Button({
+                style_class: 'spotify-menu-control-button',
+                child: new St.Icon({ icon_name: 'media-skip-backward-symbolic' }),
+                accessible_name: _('Previous Track'),
+            });
+            this.playPauseButton = new St.Button({
+                style_class: 'spotify-menu-control-button',
+                child: new St.Icon({ icon_name: 'media-playback-start-symbolic' }),
+                accessible_name: _('Play/Pause'),
+            });
+            this.nextButton = new St.Button({
+                style_class: 'spotify-menu-control-button',
+                child: new St.Icon({ icon_name: 'media-skip-forward-symbolic' }),
+                accessible_name: _('Next Track'),
+            });
+
+            this.prevButton.connect('clicked', () => this._indicator._runAction('previous'));
+            this.playPauseButton.connect('clicked', () => this._indicator._runAction('play-pause'));
+            this.nextButton.connect('clicked', () => this._indicator._runAction('next'));
+
+            controlsBox.add_child(this.prevButton);
+            controlsBox.add_child(this.playPauseButton);
+            controlsBox.add_child(this.nextButton);
+            controlsItem.add_child(controlsBox);
+            this.menu.addMenuItem(controlsItem);
+
+            this.menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
+            let raiseItem = new PopupMenu.PopupMenuItem(_('Show Player'));
+            raiseItem.connect('activate', () => {
+                Main.panel.closeQuickSettings();
+                this._indicator._runAction('raise-window');
+            });
+            this.menu.addMenuItem(raiseItem);
+
+            this.sync();
+        }
+
+        /**
+         * Updates the toggle and its menu from the indicator's followed player.
+         * Like the indicator, it is hidden while there is no player or the screen is locked.
+         */
+        sync() {
+            let indicator = this._indicator;
+            let player = indicator._activePlayer;
+
+            this.visible = !!player && !indicator._locked;
+            if (!player) {
+                this.checked = false;
+                return;
+            }
+
+            let track = player.track;
+            let title = track.title ?? _('No Track Playing');
+            let subtitle = track.artists.join(', ');
+            if (track.isAd) {
+                title = indicator._settings.get_string('ad-label');
+                subtitle = '';
+            }
+
+            let playing = player.playbackStatus === 'Playing';
+            this.title = title;
+            this.subtitle = subtitle !== '' ? subtitle : null;
+            this.checked = playing;
+            this.gicon = indicator.spotifyIcon.gicon;
+
+            // The indicator's menu cover is already loaded through the art cache
+            this._cover.gicon = indicator.menuCover.gicon;
+            this.menu.setHeader(this.gicon, title, subtitle);
+
+            this.playPauseButton.child.icon_name = playing
+                ? 'media-playback-pause-symbolic'
+                : 'media-playback-start-symbolic';
+        }
+    }
+);
+
+/**
+ * SpotifyQuickSettings Class
+ * Adds the SpotifyMenuToggle to the Quick Settings menu, for the 'quick-settings' placement.
+ */
+export const SpotifyQuickSettings = GObject.registerClass(
+    class SpotifyQuickSettings extends QuickSettings.SystemIndicator {
+        /**
+         * Initializes the toggle and adds it to the Quick Settings menu.
+         * @param {SpotifyIndicator} indicator - The indicator whose player is shown.
+         */
+        _init(indicator) {
+            super._init();
+
+            this.toggle = new SpotifyMenuToggle(indicator);
+            this.quickSettingsItems.push(this.toggle);
+            Main.panel.statusArea.quickSettings.addExternalIndicator(this);
+        }
+
+        /**
+         * Removes the toggle from the Quick Settings menu.
+         */
+        destroy() {
+            this.quickSettingsItems.forEach(item => item.destroy());
+            this.quickSettingsItems = [];
+            super.destroy();
+        }
+    }
+);
@@ -0,0 +1,277 @@
+/*
+ * Spotify Controls Extension
+ * Copyright (C) 2024 Athanasios Raptis
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+import Soup from 'gi://Soup?version=3.0';
+
+import { logDebug, logError, makeDirectory, readTextFile, writeTextFile } from './utils.js';
+
+// A track is scrobbled once half of it, or this much of it, has been played (microseconds)
+const SCROBBLE_MAX_THRESHOLD = 4 * 60 * 1000000;
+
+// Listens sent per request; ListenBrainz accepts up to 1000
+const SUBMIT_BATCH_SIZE = 100;
+
+// Retry delays after a failed submission, doubled on every failure (seconds)
+const RETRY_MIN_DELAY = 30;
+const RETRY_MAX_DELAY = 60 * 60;
+
+/**
+ * Returns whether a play is long enough to be scrobbled: half the track,
+ * or 4 minutes for long or unknown-length tracks.
+ * @param {number} playedTime - How long the track was played, in microseconds.
+ * @param {number} length - The track length (mpris:length), in microseconds, or 0 if unknown.
+ * @returns {boolean} - True if the play should be scrobbled.
+ */
+export function isScrobbleable(playedTime, length) {
+    let threshold = length > 0 ? Math.min(length / 2, SCROBBLE_MAX_THRESHOLD) : SCROBBLE_MAX_THRESHOLD;
+    return playedTime >= threshold;
+}
+
+/**
+ * Scrobbler Class
+ * Submits listens to a ListenBrainz-compatible server ('scrobble-url', 'scrobble-token').
+ * Every listen goes through a queue that is kept on disk until the server accepts it,
+ * so listens made offline or while the server is down are sent later, with backoff.
+ */
+export class Scrobbler {
+    /**
+     * Constructor for Scrobbler.
+     * @param {Gio.Settings} settings - The settings object for the extension.
+     */
+    constructor(settings) {
+        this._settings = settings;
+        this._queueFile = Gio.File.new_for_path(GLib.build_filenamev([GLib.get_user_data_dir(), 'spotify-controls', 'scrobble-queue.json']));
+        this._session = new Soup.Session({ timeout: 30 });
+        this._cancellable = new Gio.Cancellable();
+
+        this._queue = [];
+        this._loaded = false;
+        this._flushing = false;
+        this._retryDelay = RETRY_MIN_DELAY;
+        this._retryTimeoutId = null;
+
+        // Writes are chained so queue updates never interleave, after the data directory is created once
+        this._writeQueue = makeDirectory(this._queueFile.get_parent())
+            .catch(e => logError(e, 'Failed to create the scrobble queue directory'));
+
+        // A new URL or token may fix failed submissions, so retry right away
+        this._settingsChangedIds = ['scrobble-enabled', 'scrobble-url', 'scrobble-token']
+            .map(key => this._settings.connect(`changed::${key}`, () => {
+                if (key !== 'scrobble-enabled' && this._settings.get_boolean('scrobble-auth-failed')) {
+                    this._settings.set_boolean('scrobble-auth-failed', false);
+                }
+                if (this._retryTimeoutId !== null) {
+                    clearTimeout(this._retryTimeoutId);
+                    this._retryTimeoutId = null;
+                }
+                this._retryDelay = RETRY_MIN_DELAY;
+                this._flush();
+            }));
+
+        this._load();
+    }
+
+    /**
+     * Loads the queued listens from disk and tries to send them.
+     */
+    async _load() {
+        try {
+            let contents = await readTextFile(this._queueFile);
+            let queue = contents.trim() === '' ? [] : JSON.parse(contents);
+            // Listens submitted while loading are kept after the older ones
+            this._queue = [...(Array.isArray(queue) ? queue : []), ...this._queue];
+        } catch (e) {
+            logError(e, 'Failed to load the scrobble queue');
+        }
+        this._loaded = true;
+        this._flush();
+    }
+
+    /**
+     * Queues a listen and tries to send it.
+     * @param {Object} params - The finished play.
+     * @param {number} params.listenedAt - When the track started playing, in seconds since the epoch.
+     * @param {string} params.title - The track title.
+     * @param {string[]} params.artists - The track artists.
+     * @param {string|null} params.album - The album name.
+     * @param {number} params.length - The track length, in seconds, or 0 if unknown.
+     * @param {string|null} params.uri - The track's spotify: URI, if it came from Spotify.
+     * @param {string|null} params.url - The xesam:url of the track.
+     */
+    submit({ listenedAt, title, artists, album, length, uri, url }) {
+        if (!this._settings.get_boolean('scrobble-enabled') || artists.length === 0) {
+            return;
+        }
+
+        let additionalInfo = {
+            submission_client: 'Spotify Controls',
+            artist_names: artists,
+        };
+        if (length > 0) {
+            additionalInfo.duration_ms = length * 1000;
+        }
+        if (uri) {
+            additionalInfo.music_service = 'spotify.com';
+            additionalInfo.spotify_id = `https://open.spotify.com/${uri.split(':').slice(1).join('/')}`;
+        } else if (url) {
+            additionalInfo.origin_url = url;
+        }
+
+        let trackMetadata = {
+            artist_name: artists.join(', '),
+            track_name: title,
+            additional_info: additionalInfo,
+        };
+        if (album) {
+            trackMetadata.release_name = album;
+        }
+
+        this._queue.push({ listened_at: listenedAt, track_metadata: trackMetadata });
+        this._saveQueue();
+        logDebug(`Queued scrobble: ${trackMetadata.artist_name} - ${title}`);
+
+        this._flush();
+    }
+
+    /**
+     * Sends the queued listens in batches until the queue is empty or a submission fails.
+     */
+    async _flush() {
+        if (!this._session || !this._loaded || this._flushing || this._retryTimeoutId !== null) {
+            return;
+        }
+        if (!this._settings.get_boolean('scrobble-enabled') || this._settings.get_string('scrobble-token') === '') {
+            return;
+        }
+        // Retrying can't help until the token or the server changes
+        if (this._settings.get_boolean('scrobble-auth-failed')) {
+            return;
+        }
+
+        this._flushing = true;
+        try {
+            while (this._queue.length > 0) {
+                let batch = this._queue.slice(0, SUBMIT_BATCH_SIZE);
+                let status = await this._post(batch);
+
+                if (status === Soup.Status.OK) {
+                    logDebug(`Scrobbled ${batch.length} listens`);
+                } else if (status === Soup.Status.UNAUTHORIZED || status === Soup.Status.FORBIDDEN) {
+                    // Shown in the preferences; the listens stay queued for a new token
+                    logError(new Error(`HTTP status ${status}`), 'Scrobble server rejected the token; not retrying until it changes');
+                    this._settings.set_boolean('scrobble-auth-failed', true);
+                    return;
+                } else if (status === Soup.Status.BAD_REQUEST) {
+                    // The server will never accept these, so don't let them block the queue
+                    logError(new Error(`HTTP status ${status}`), `Scrobble server rejected ${batch.length} listens; dropping them`);
+                } else {
+                    throw new Error(`Unexpected HTTP status ${status}`);
+                }
+
+                this._queue.splice(0, batch.length);
+                this._saveQueue();
+                this._retryDelay = RETRY_MIN_DELAY;
+            }
+        } catch (e) {
+            if (e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) {
+                return;
+            }
+            logError(e, `Failed to scrobble; retrying in ${this._retryDelay} seconds`);
+            this._scheduleRetry();
+        } finally {
+            this._flushing = false;
+        }
+    }
+
+    /**
+     * Schedules the next attempt to send the queue, backing off exponentially.
+     */
+    _scheduleRetry() {
+        if (this._retryTimeoutId !== null) {
+            return;
+        }
+
+        this._retryTimeoutId = setTimeout(() => {
+            this._retryTimeoutId = null;
+            this._flush();
+        }, this._retryDelay * 1000);
+
+        this._retryDelay = Math.min(this._retryDelay * 2, RETRY_MAX_DELAY);
+    }
+
+    /**
+     * Posts listens to the server's submit-listens endpoint.
+     * @param {Object[]} listens - The listens to submit.
+     * @returns {Promise<number>} - The HTTP status of the response.
+     */
+    async _post(listens) {
+        let baseUrl = this._settings.get_string('scrobble-url').replace(/\/+$/, '');
+        let message = Soup.Message.new('POST', `${baseUrl}/1/submit-listens`);
+        if (!message) {
+            throw new Error(`Invalid scrobble server URL: ${baseUrl}`);
+        }
+
+        let payload = {
+            listen_type: listens.length === 1 ? 'single' : 'import',
+            payload: listens,
+        };
+        message.get_request_headers().append('Authorization', `Token ${this._settings.get_string('scrobble-token')}`);
+        message.set_request_body_from_bytes('application/json', new GLib.Bytes(new TextEncoder().encode(JSON.stringify(payload))));
+
+        await new Promise((resolve, reject) => {
+            this._session.send_and_read_async(message, GLib.PRIORITY_DEFAULT, this._cancellable, (session, result) => {
+                try {
+                    resolve(session.send_and_read_finish(result));
+                } catch (e) {
+                    reject(e);
+                }
+            });
+        });
+
+        return message.get_status();
+    }
+
+    /**
+     * Writes the queue to disk.
+     */
+    _saveQueue() {
+        let text = JSON.stringify(this._queue);
+        this._writeQueue = this._writeQueue
+            .then(() => writeTextFile(this._queueFile, text))
+            .catch(e => logError(e, 'Failed to save the scrobble queue'));
+    }
+
+    /**
+     * Cancels pending submissions and retries. Queued listens stay on disk for next time.
+     */
+    destroy() {
+        if (this._retryTimeoutId !== null) {
+            clearTimeout(this._retryTimeoutId);
+            this._retryTimeoutId = null;
+        }
+
+        this._settingsChangedIds.forEach(id => this._settings.disconnect(id));
+        this._settingsChangedIds = [];
+
+        this._cancellable.cancel();
+        this._session.abort();
+        this._session = null;
+    }
+}
@@ -0,0 +1,309 @@
+/*
+ * Spotify Controls Extension
+ * Copyright (C) 2024 Athanasios Raptis
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import Gio from 'gi://Gio';
+import St from 'gi://St';
+
+import { gettext as _ } from 'resource:///org/gnome/shell/extensions/extension.js';
+
+import { getBookmarks } from './bookmarks.js';
+import { trackIdToUri } from './spotifyUri.js';
+import { logDebug } from './utils.js';
+
+// Desktop files of the Spotify client (native and Flatpak), used for the provider's icon and name
+const SPOTIFY_DESKTOP_IDS = ['spotify.desktop', 'com.spotify.Client.desktop', 'spotify_spotify.desktop'];
+
+// Search words that run a playback action instead of finding tracks
+const COMMAND_KEYWORDS = {
+    next: 'next',
+    skip: 'next',
+    previous: 'previous',
+    prev: 'previous',
+    back: 'previous',
+    pause: 'pause',
+    play: 'play',
+    resume: 'play',
+};
+
+// "vol 40", "volume 40%"
+const VOLUME_QUERY_REGEX = /^vol(?:ume)?\s+(\d{1,3})%?$/;
+
+/**
+ * Returns the Spotify client's desktop entry, if it is installed.
+ * @returns {Gio.DesktopAppInfo|null} - The desktop entry.
+ */
+function findSpotifyAppInfo() {
+    for (const id of SPOTIFY_DESKTOP_IDS) {
+        const appInfo = Gio.DesktopAppInfo.new(id);
+        if (appInfo) {
+            return appInfo;
+        }
+    }
+    return null;
+}
+
+/**
+ * SpotifySearchProvider Class
+ * Finds the current track, bookmarks and recently played tracks from the Activities
+ * overview, and runs playback commands typed there ("next", "pause", "vol 40").
+ * It talks to the players only through the indicator's MPRIS plumbing.
+ */
+export class SpotifySearchProvider {
+    /**
+     * Constructor for SpotifySearchProvider.
+     * @param {SpotifyIndicator} indicator - The indicator whose players, history and bookmarks are searched.
+     */
+    constructor(indicator) {
+        this._indicator = indicator;
+
+        // The results of the last search, by result id, for getResultMetas and activateResult
+        this._results = new Map();
+
+        // With an app, results are listed next to it; without one, they are shown as a grid
+        this.appInfo = findSpotifyAppInfo();
+        this.id = 'spotify-controls';
+        this.isRemoteProvider = false;
+        this.canLaunchSearch = false;
+    }
+
+    /**
+     * Returns every item that can be found: the current track, the bookmarks and the
+     * Spotify tracks of the listening history, newest first, without duplicate URIs.
+     * @returns {Object[]} - The items, with id, uri, name, description, artUrl and iconName.
+     */
+    _getItems() {
+        const items = [];
+        const seenUris = new Set();
+        const addItem = (uri, name, description, artUrl, iconName) => {
+            if (!uri || !name || seenUris.has(uri)) {
+                return;
+            }
+            seenUris.add(uri);
+            items.push({ id: `uri:${uri}`, uri, name, description, artUrl, iconName });
+        };
+
+        const track = this._indicator._activePlayer?.track;
+        if (track?.title && !track.isAd) {
+            addItem(trackIdToUri(track.trackId), track.title, [_('Now Playing'), ...track.artists].join(' · '), track.artUrl, 'audio-x-generic-symbolic');
+        }
+
+        for (const bookmark of getBookmarks(this._indicator._settings)) {
+            addItem(bookmark.uri, bookmark.name, _('Bookmark'), null, 'starred-symbolic');
+        }
+
+        const entries = this._indicator._history?.entries ?? [];
+        for (let i = entries.length - 1; i >= 0; i--) {
+            const entry = entries[i];
+            addItem(trackIdToUri(entry.trackid), entry.title, (entry.artists ?? []).join(', '), entry.arturl, 'document-open-recent-symbolic');
+        }
+
+        return items;
+    }
+
+    /**
+     * Returns the playback command a query asks for, if any. Commands the player
+     * doesn't allow right now aren't offered, see the indicator's _isActionAllowed.
+     * @param {string[]} terms - The search terms.
+     * @returns {Object|null} - The command result, with id, name, description, iconName and run.
+     */
+    _getCommand(terms) {
+        const indicator = this._indicator;
+        const player = indicator._activePlayer;
+        const query = terms.join(' ').toLowerCase();
+
+        const volumeMatch = VOLUME_QUERY_REGEX.exec(query);
+        if (volumeMatch) {
+            if (!player || player.volume === null || !indicator._isActionAllowed('volume-up', player)) {
+                return null;
+            }
+            const percent = Math.min(100, parseInt(volumeMatch[1]));
+            return {
+                id: `command:volume:${percent}`,
+                name: _('Set Volume to %d%%').format(percent),
+                description: player.identity,
+                iconName: 'audio-volume-high-symbolic',
+                run: () => {
+                    if (indicator._isActionAllowed('volume-up', player)) {
+                        indicator._setVolume(percent / 100, player).catch(() => {});
+                    }
+                },
+            };
+        }
+
+        const command = COMMAND_KEYWORDS[query];
+        // Only "play" makes sense without a player; it launches Spotify
+        if (!command || (!player && command !== 'play')) {
+            return null;
+        }
+
+        // Pause only applies while playing and play only while not; both are gated like play-pause
+        const isPlaying = player?.playbackStatus === 'Playing';
+        const canTogglePlayback = indicator._isActionAllowed('play-pause', player);
+        if ((command === 'next' || command === 'previous') && !indicator._isActionAllowed(command, player)) {
+            return null;
+        }
+        if (command === 'pause' && !(isPlaying && canTogglePlayback)) {
+            return null;
+        }
+        if (command === 'play' && player && (isPlaying || !canTogglePlayback)) {
+            return null;
+        }
+
+        switch (command) {
+            case 'next':
+                return {
+                    id: 'command:next',
+                    name: _('Next Track'),
+                    description: player.identity,
+                    iconName: 'media-skip-forward-symbolic',
+                    run: () => indicator._runAction('next'),
+                };
+            case 'previous':
+                return {
+                    id: 'command:previous',
+                    name: _('Previous Track'),
+                    description: player.identity,
+                    iconName: 'media-skip-backward-symbolic',
+                    run: () => indicator._runAction('previous'),
+                };
+            case 'pause':
+                return {
+                    id: 'command:pause',
+                    name: _('Pause'),
+                    description: player.identity,
+                    iconName: 'media-playback-pause-symbolic',
+                    run: () => indicator._runAction('play-pause'),
+                };
+            default:
+                return {
+                    id: 'command:play',
+                    name: _('Play'),
+                    description: player ? player.identity : 'Spotify',
+                    iconName: 'media-playback-start-symbolic',
+                    run: () => indicator._runAction('play-pause'),
+                };
+        }
+    }
+
+    /**
+     * Searches the items and commands.
+     * @param {string[]} terms - The search terms; every one has to match.
+     * @returns {string[]} - The result ids, commands first.
+     */
+    _search(terms) {
+        this._results.clear();
+
+        const command = this._getCommand(terms);
+        if (command) {
+            this._results.set(command.id, command);
+        }
+
+        const lowerTerms = terms.map(term => term.toLowerCase());
+        for (const item of this._getItems()) {
+            const text = `${item.name} ${item.description}`.toLowerCase();
+            if (lowerTerms.every(term => text.includes(term))) {
+                this._results.set(item.id, item);
+            }
+        }
+
+        logDebug(`Search for '${terms.join(' ')}' found ${this._results.size} results`);
+        return [...this._results.keys()];
+    }
+
+    /**
+     * Called by the search controller when a new search starts.
+     * @param {string[]} terms - The search terms.
+     * @param {Gio.Cancellable} cancellable - Cancelled when the search is replaced.
+     * @returns {Promise<string[]>} - The result ids.
+     */
+    getInitialResultSet(terms, cancellable) {
+        return Promise.resolve(this._search(terms));
+    }
+
+    /**
+     * Called by the search controller when the search terms are refined.
+     * The items are few, so they are searched again from scratch.
+     * @param {string[]} previousResults - The results of the previous search.
+     * @param {string[]} terms - The new search terms.
+     * @param {Gio.Cancellable} cancellable - Cancelled when the search is replaced.
+     * @returns {Promise<string[]>} - The result ids.
+     */
+    getSubsearchResultSet(previousResults, terms, cancellable) {
+        return Promise.resolve(this._search(terms));
+    }
+
+    /**
+     * Describes results for display, with their covers when there are any.
+     * @param {string[]} ids - The result ids.
+     * @param {Gio.Cancellable} cancellable - Cancelled when the search is replaced.
+     * @returns {Promise<Object[]>} - The result metas (id, name, description, createIcon).
+     */
+    async getResultMetas(ids, cancellable) {
+        const results = ids.map(id => this._results.get(id)).filter(result => result);
+        const gicons = await Promise.all(results.map(result =>
+            result.artUrl ? this._indicator._artCache?.getIcon(result.artUrl) ?? null : null));
+
+        return results.map((result, i) => ({
+            id: result.id,
+            name: result.name,
+            description: result.description,
+            createIcon: size => new St.Icon({
+                gicon: gicons[i] ?? null,
+                icon_name: gicons[i] ? null : result.iconName,
+                icon_size: size,
+            }),
+        }));
+    }
+
+    /**
+     * Runs a command, or plays an item through OpenUri, launching Spotify if needed.
+     * @param {string} id - The result id.
+     * @param {string[]} terms - The search terms.
+     */
+    activateResult(id, terms) {
+        const result = this._results.get(id);
+        if (!result) {
+            return;
+        }
+
+        logDebug(`Activating search result ${id}`);
+        if (result.run) {
+            result.run();
+        } else {
+            this._indicator._playSpotifyUri(result.uri);
+        }
+    }
+
+    /**
+     * Limits the number of results shown.
+     * @param {string[]} results - The result ids.
+     * @param {number} maxResults - The maximum number of results.
+     * @returns {string[]} - The results to show.
+     */
+    filterResults(results, maxResults) {
+        return results.slice(0, maxResults);
+    }
+
+    /**
+     * Forgets the indicator and the last results.
+     */
+    destroy() {
+        this._results.clear();
+        this._indicator = null;
+    }
+}
@@ -0,0 +1,68 @@
+/*
+ * Spotify Controls Extension
+ * Copyright (C) 2024 Athanasios Raptis
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+// Spotify reports its MPRIS track ids as /com/spotify/<type>/<id>
+const TRACK_ID_REGEX = /^\/com\/spotify\/(\w+)\/(\w+)$/;
+
+// spotify: URIs have a type and an id, sometimes more parts, e.g. spotify:user:<name>:playlist:<id>
+const SPOTIFY_URI_REGEX = /^spotify(:[\w.-]+){2,}$/;
+
+// Links that can be played, as open.spotify.com URLs (optionally localized, e.g. /intl-de/,
+// and with a ?si= share id) or spotify: URIs, both with the legacy user/<name>/ prefix for playlists
+const LINK_URL_REGEX = /^https?:\/\/open\.spotify\.com\/(?:intl-[\w-]+\/)?(?:user\/[^/]+\/)?(track|album|playlist|episode|show)\/([0-9A-Za-z]{22})\/?(?:[?#].*)?$/;
+const LINK_URI_REGEX = /^spotify:(?:user:[^:]+:)?(track|album|playlist|episode|show):([0-9A-Za-z]{22})$/;
+
+/**
+ * Converts a Spotify link into its canonical spotify: URI. Also takes text/uri-list
+ * contents, in which case the first link is used.
+ * @param {string} text - An open.spotify.com link or a spotify: URI of a track, album, playlist, episode or show.
+ * @returns {string|null} - The URI, e.g. 'spotify:album:4m2880jivSbbyEGAKfITCa', or null if the text isn't such a link.
+ */
+export function linkToUri(text) {
+    const link = (text ?? '').split(/\r?\n/).map(line => line.trim()).find(line => line !== '' && !line.startsWith('#'));
+    const match = LINK_URL_REGEX.exec(link ?? '') ?? LINK_URI_REGEX.exec(link ?? '');
+    return match ? `spotify:${match[1]}:${match[2]}` : null;
+}
+
+/**
+ * Checks whether a string is a spotify: URI.
+ * @param {string} uri - The string to check.
+ * @returns {boolean} - True for URIs like 'spotify:playlist:37i9dQZF1DXcBWIGoYBM5M'.
+ */
+export function isSpotifyUri(uri) {
+    return typeof uri === 'string' && SPOTIFY_URI_REGEX.test(uri);
+}
+
+/**
+ * Converts a Spotify MPRIS track id into a spotify: URI.
+ * @param {string} trackId - The mpris:trackid value, e.g. '/com/spotify/track/4uLU6hMCjMI75M1A2tKUQC'.
+ * @returns {string|null} - The URI, e.g. 'spotify:track:4uLU6hMCjMI75M1A2tKUQC', or null for other players.
+ */
+export function trackIdToUri(trackId) {
+    const match = TRACK_ID_REGEX.exec(trackId ?? '');
+    return match ? `spotify:${match[1]}:${match[2]}` : null;
+}
+
+/**
+ * Converts a spotify: URI into its open.spotify.com link.
+ * @param {string} uri - The URI, e.g. 'spotify:track:4uLU6hMCjMI75M1A2tKUQC'.
+ * @returns {string} - The link, e.g. 'https://open.spotify.com/track/4uLU6hMCjMI75M1A2tKUQC'.
+ */
+export function uriToUrl(uri) {
+    return `https://open.spotify.com/${uri.split(':').slice(1).join('/')}`;
+}
@@ -0,0 +1,129 @@
+/*
+ * Spotify Controls Extension
+ * Copyright (C) 2024 Athanasios Raptis
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import Gio from 'gi://Gio';
+
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+import * as MessageTray from 'resource:///org/gnome/shell/ui/messageTray.js';
+import * as Config from 'resource:///org/gnome/shell/misc/config.js';
+
+import { gettext as _ } from 'resource:///org/gnome/shell/extensions/extension.js';
+
+import { logDebug } from './utils.js';
+
+// GNOME 46 switched MessageTray.Source and MessageTray.Notification to property-based constructors
+const SHELL_MAJOR_VERSION = parseInt(Config.PACKAGE_VERSION.split('.')[0]);
+
+/**
+ * TrackNotifier Class
+ * Shows desktop notifications through the GNOME message tray, from a single
+ * "Spotify Controls" source, and optionally replaces the previous one.
+ */
+export class TrackNotifier {
+    /**
+     * Constructor for TrackNotifier.
+     * @param {string} extensionPath - The path to the extension's directory.
+     */
+    constructor(extensionPath) {
+        this._extensionPath = extensionPath;
+        this._source = null;
+        this._notification = null;
+    }
+
+    /**
+     * Returns the notification source, creating and registering it if needed.
+     * @returns {MessageTray.Source} - The notification source.
+     */
+    _getSource() {
+        if (this._source) {
+            return this._source;
+        }
+
+        if (SHELL_MAJOR_VERSION >= 46) {
+            this._source = new MessageTray.Source({
+                title: _('Spotify Controls'),
+                icon: Gio.icon_new_for_string(`${this._extensionPath}/icons/spotify.svg`),
+            });
+        } else {
+            this._source = new MessageTray.Source(_('Spotify Controls'), 'audio-x-generic-symbolic');
+        }
+
+        this._source.connect('destroy', () => {
+            this._source = null;
+            this._notification = null;
+        });
+        Main.messageTray.add(this._source);
+
+        return this._source;
+    }
+
+    /**
+     * Shows a notification.
+     * @param {Object} params - The notification content.
+     * @param {string} params.title - The notification title.
+     * @param {string} params.body - The notification body.
+     * @param {Gio.Icon|null} params.gicon - The notification image, e.g. the album art.
+     * @param {Array<{label: string, callback: Function}>} params.actions - Inline action buttons.
+     * @param {boolean} params.replace - Whether to replace the previous notification instead of stacking.
+     */
+    show({ title, body, gicon, actions = [], replace = true }) {
+        if (replace && this._notification) {
+            this._notification.destroy(MessageTray.NotificationDestroyedReason.REPLACED);
+            this._notification = null;
+        }
+
+        const source = this._getSource();
+        let notification;
+
+        if (SHELL_MAJOR_VERSION >= 46) {
+            notification = new MessageTray.Notification({ source, title, body, gicon, isTransient: true });
+        } else {
+            notification = new MessageTray.Notification(source, title, body, { gicon });
+            notification.setTransient(true);
+        }
+
+        for (const { label, callback } of actions) {
+            notification.addAction(label, callback);
+        }
+
+        notification.connect('destroy', () => {
+            if (this._notification === notification) {
+                this._notification = null;
+            }
+        });
+        this._notification = notification;
+
+        if (SHELL_MAJOR_VERSION >= 46) {
+            source.addNotification(notification);
+        } else {
+            source.showNotification(notification);
+        }
+        logDebug(`Notification shown: ${title}`);
+    }
+
+    /**
+     * Removes the notification source and its notifications.
+     */
+    destroy() {
+        if (this._source) {
+            this._source.destroy();
+            this._source = null;
+        }
+        this._notification = null;
+    }
+}
@@ -0,0 +1,114 @@
+/*
+ * Spotify Controls Extension
+ * Copyright (C) 2024 Athanasios Raptis
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+
+// Debugging flag and function to control debug logging
+const DEBUG = false;
+
+/**
+ * Logs debug messages to the GNOME Shell log if debugging is enabled.
+ * @param {string} message - The debug message to log.
+ */
+export function logDebug(message) {
+    if (DEBUG) {
+        console.log(`[Spotify Controls DEBUG]: ${message}`);
+    }
+}
+
+/**
+ * Logs error messages to the GNOME Shell log.
+ * @param {Error} error - The error object.
+ * @param {string} message - Additional context for the error.
+ */
+export function logError(error, message) {
+    console.error(`[Spotify Controls ERROR]: ${message}`, error);
+}
+
+/**
+ * Creates a directory and its missing parents asynchronously.
+ * @param {Gio.File} dir - The directory.
+ * @param {Gio.Cancellable|null} [cancellable] - Cancels the creation.
+ * @returns {Promise<void>} - A promise that resolves once the directory exists.
+ */
+export async function makeDirectory(dir, cancellable = null) {
+    try {
+        await new Promise((resolve, reject) => {
+            dir.make_directory_async(GLib.PRIORITY_DEFAULT, cancellable, (d, result) => {
+                try {
+                    d.make_directory_finish(result);
+                    resolve();
+                } catch (e) {
+                    reject(e);
+                }
+            });
+        });
+    } catch (e) {
+        if (e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.EXISTS)) {
+            return;
+        }
+        if (!e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND) || !dir.get_parent()) {
+            throw e;
+        }
+        await makeDirectory(dir.get_parent(), cancellable);
+        await makeDirectory(dir, cancellable);
+    }
+}
+
+/**
+ * Writes text to a file asynchronously, replacing its contents.
+ * @param {Gio.File} file - The file to write.
+ * @param {string} text - The new contents.
+ * @returns {Promise<void>} - A promise that resolves once the file is written.
+ */
+export function writeTextFile(file, text) {
+    return new Promise((resolve, reject) => {
+        const bytes = new GLib.Bytes(new TextEncoder().encode(text));
+        file.replace_contents_bytes_async(bytes, null, false, Gio.FileCreateFlags.REPLACE_DESTINATION, null, (f, result) => {
+            try {
+                f.replace_contents_finish(result);
+                resolve();
+            } catch (e) {
+                reject(e);
+            }
+        });
+    });
+}
+
+/**
+ * Reads a text file asynchronously.
+ * @param {Gio.File} file - The file to read.
+ * @returns {Promise<string>} - The contents, or '' if the file doesn't exist.
+ */
+export function readTextFile(file) {
+    return new Promise((resolve, reject) => {
+        file.load_contents_async(null, (f, result) => {
+            try {
+                const [, contents] = f.load_contents_finish(result);
+                resolve(new TextDecoder().decode(contents));
+            } catch (e) {
+                if (e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND)) {
+                    resolve('');
+                } else {
+                    reject(e);
+                }
+            }
+        });
+    });
+}